@@ -0,0 +1,44 @@
+// Languages offered as AI translation targets.
+//    code: bcp47 code, also used in the AI track's bcp47 (`${code}-ai`) and cache keys
+//    name: English name, used inside the translation prompt
+//    nativeName: shown in the subtitle menu and the settings pop-up
+const kAiLanguages = [
+  { code: 'ko', name: 'Korean', nativeName: '한국어' },
+  { code: 'en', name: 'English', nativeName: 'English' },
+  { code: 'ja', name: 'Japanese', nativeName: '日本語' },
+  { code: 'zh-Hans', name: 'Chinese (Simplified)', nativeName: '简体中文' },
+  { code: 'zh-Hant', name: 'Chinese (Traditional)', nativeName: '繁體中文' },
+  { code: 'es', name: 'Spanish', nativeName: 'Español' },
+  { code: 'fr', name: 'French', nativeName: 'Français' },
+  { code: 'de', name: 'German', nativeName: 'Deutsch' },
+  { code: 'it', name: 'Italian', nativeName: 'Italiano' },
+  { code: 'pt', name: 'Portuguese', nativeName: 'Português' },
+  { code: 'ru', name: 'Russian', nativeName: 'Русский' },
+  { code: 'vi', name: 'Vietnamese', nativeName: 'Tiếng Việt' },
+  { code: 'th', name: 'Thai', nativeName: 'ไทย' },
+  { code: 'id', name: 'Indonesian', nativeName: 'Bahasa Indonesia' },
+];
+
+// lookup by bcp47 code; unknown codes fall back to the code itself
+function getAiLanguage(code) {
+  return kAiLanguages.find(l => l.code === code) ||
+    { code: code, name: code, nativeName: code };
+}
+
+// DeepL wants upper-case codes, a regional variant for some targets and a bare
+// language for sources; returns null for sources it would not accept
+function toDeeplLanguage(code, isSource = false) {
+  const base = (code || '').split('-')[0].toUpperCase();
+  if (!/^[A-Z]{2}$/.test(base)) return null;
+  if (isSource) return base;
+  const targets = { 'en': 'EN-US', 'pt': 'PT-BR', 'zh-Hans': 'ZH-HANS', 'zh-Hant': 'ZH-HANT' };
+  return targets[code] || base;
+}
+
+// Google Cloud Translation v2 names Chinese scripts by region
+function toGoogleLanguage(code) {
+  const codes = { 'zh-Hans': 'zh-CN', 'zh-Hant': 'zh-TW', 'jpn': 'ja' };
+  return codes[code] || code;
+}
+
+module.exports = { kAiLanguages, getAiLanguage, toDeeplLanguage, toGoogleLanguage };
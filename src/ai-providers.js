@@ -0,0 +1,644 @@
+const { getAiLanguage, toGoogleLanguage } = require('./ai-languages');
+const { TranslationError, parseRetryAfter, sleep } = require('./retry-policy');
+const { readEventStream, readChatCompletionStream } = require('./sse');
+const JsonArrayStream = require('./json-array-stream');
+
+// =============================================================================
+// AI translation provider registry
+// =============================================================================
+// Every provider is a plain object registered with `registerProvider()`:
+//    id: value stored in settings.aiProvider
+//    label: button caption in the settings pop-up, also used in error messages
+//    kind: 'llm' (prompted, returns a JSON array) or 'mt' (machine translation, one result per line)
+//    defaults: settings applied when the provider is picked in the pop-up
+//    limits: default { concurrency, requestsPerMinute, tokensPerMinute } (0 = no limit);
+//        user overrides live in settings.aiRateLimits[id], see getRateLimits()
+//    auth: (optional) 'github' shows the GitHub device-flow login in the pop-up
+//    fields: settings edited in the pop-up, in display order
+//        { key, label, type: 'text' | 'password' | 'url' | 'select', placeholder, hint, options }
+//        type 'url' asks for a host permission on the entered origin when saved
+//    validate(settings): error message if the provider cannot be used yet, otherwise null
+//    translate(lines, context): resolves with exactly one translated string per line, or
+//        rejects with a `mismatch` TranslationError (see parseTranslatedArray)
+//        context: { srcLang, targetLang, chunkIndex, settings, reference, relay(action, payload, timeoutMs, onDelta), onLine, signal }
+//        `chunkIndex` is the index of lines[0] in the track, the id of the first line
+//        `onLine(id, text)` (optional) asks for a streamed reply: it is called for every line
+//        as soon as it arrives, before the reply as a whole has been validated
+//        `reference` is read-only context for LLM prompts (see buildTranslationPrompt)
+//        `relay` runs a request that needs the background's own helpers (Copilot token,
+//        custom endpoint, DeepL) and resolves with its data
+//        `signal` is an AbortSignal cancelling the request; `relay` already honours it
+//
+// Providers are called by the service worker only (translation-service.js): API
+// keys never reach the Netflix page (see secretSettingKeys()). This module is also
+// loaded by the injected agent and the settings pop-up, so it must not touch
+// `window` or `chrome` at load time.
+
+// lines per chunk the page splits a track into; a request holds one chunk or part of one
+const kChunkSize = 50;
+
+const kProviders = [];
+
+function registerProvider(provider) {
+  const index = kProviders.findIndex(p => p.id === provider.id);
+  if (index >= 0) kProviders.splice(index, 1, provider);
+  else kProviders.push(provider);
+  return provider;
+}
+
+// unknown ids fall back to the first registered provider (Gemini)
+function getProvider(id) {
+  return kProviders.find(p => p.id === id) || kProviders[0];
+}
+
+function listProviders() {
+  return kProviders.slice();
+}
+
+// Settings holding credentials; kept in the background and stripped from the
+// settings sent to the page. Besides these, every 'password' field counts
+const kSecretSettings = ['githubOAuthToken', 'githubCopilotToken', 'githubCopilotTokenExpiry'];
+
+function secretSettingKeys() {
+  const keys = new Set(kSecretSettings);
+  kProviders.forEach(p => p.fields.filter(f => f.type === 'password').forEach(f => keys.add(f.key)));
+  return Array.from(keys);
+}
+
+// Scheduling budget, common to all providers; edited in the pop-up per provider
+const kRateLimitFields = [
+  { key: 'concurrency', label: 'Parallel requests' },
+  { key: 'requestsPerMinute', label: 'Requests per minute (0 = no limit)' },
+  { key: 'tokensPerMinute', label: 'Tokens per minute (0 = no limit)' },
+];
+
+// provider defaults overridden by settings.aiRateLimits[provider.id]
+function getRateLimits(settings, provider) {
+  const overrides = (settings.aiRateLimits || {})[provider.id] || {};
+  const limits = {};
+  kRateLimitFields.forEach(({ key }) => {
+    const value = parseInt(overrides[key]);
+    limits[key] = Math.max(0, isNaN(value) ? provider.limits[key] : value);
+  });
+  limits.concurrency = Math.max(1, limits.concurrency);
+  return limits;
+}
+
+// -----------------------------------------------------------------------------
+
+// Read-only context placed ahead of the lines to translate, so that names,
+// pronouns and formality stay consistent across chunk boundaries
+//    reference: { title, synopsis, previousLines: [{ source, translated }], glossary: [{ source, target }] }
+function buildReferenceSection(reference) {
+  const parts = [];
+  if (reference.title) parts.push(`Title: ${reference.title}`);
+  if (reference.synopsis) parts.push(`Synopsis: ${reference.synopsis}`);
+  const previousLines = (reference.previousLines || []).filter(l => l.source);
+  if (previousLines.length > 0) {
+    parts.push('Preceding subtitles (source => translation):');
+    previousLines.forEach(l => {
+      const source = l.source.replace(/\n/g, ' ');
+      const translated = (l.translated || '').replace(/\n/g, ' ');
+      parts.push(translated ? `${source} => ${translated}` : source);
+    });
+  }
+  if (parts.length === 0) return '';
+  return `Reference context (for consistency only; do NOT translate it or include it in the output):
+${parts.join('\n')}
+`;
+}
+
+// Per-show glossary (see glossary.js): fixed renderings for names and recurring terms
+function buildGlossarySection(glossary) {
+  if (!glossary || glossary.length === 0) return '';
+  return `Glossary (always translate these terms exactly as given):
+${glossary.map(t => `${t.source} => ${t.target}`).join('\n')}
+`;
+}
+
+// Every line goes to the model with a stable id (its index in the whole track),
+// so that results can be matched back by id instead of by position
+function identifyLines(originalTexts, firstId = 0) {
+  return originalTexts.map((text, k) => ({ id: firstId + k, text }));
+}
+
+// Build translation prompt shared across LLM providers
+function buildTranslationPrompt(originalTexts, srcLang = 'en', targetLang = 'ko', reference = {}, firstId = 0) {
+  const langNames = {
+    'zh': 'Chinese',
+  };
+  const srcName = langNames[srcLang] || getAiLanguage(srcLang).name;
+  const targetName = getAiLanguage(targetLang).name;
+  return `Translate these subtitles from ${srcName} to ${targetName} naturally.
+Context: Netflix Movie/Show.
+${buildReferenceSection(reference)}${buildGlossarySection(reference.glossary)}Rules:
+1. Return exactly ${originalTexts.length} items, one per input item, with the same "id".
+2. Never merge or split items, even if a sentence continues on the next one.
+3. Keep music/sound effects as is.
+4. Output strictly a JSON array of {"id": number, "text": string} objects.
+
+Input:
+${JSON.stringify(identifyLines(originalTexts, firstId))}`;
+}
+
+// Structured output: providers that can constrain their reply to a JSON schema
+// get this one, so that the reply always parses. OpenAI's strict mode needs an
+// object at the top level, hence the { lines: [...] } wrapper
+const kTranslationSchema = {
+  type: 'object',
+  properties: {
+    lines: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          text: { type: 'string' },
+        },
+        required: ['id', 'text'],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ['lines'],
+  additionalProperties: false,
+};
+
+// Gemini takes an OpenAPI subset without `additionalProperties`
+function geminiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(geminiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const result = {};
+  Object.keys(schema).forEach(key => {
+    if (key !== 'additionalProperties') result[key] = geminiSchema(schema[key]);
+  });
+  return result;
+}
+
+// 32-bit FNV-1a as hex; enough to tell prompt templates apart
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// What a translation is made with: cached translations are only reused when
+// all of these match the current settings (see isSameTranslationMeta)
+function translationMeta(settings, targetLang) {
+  const provider = getProvider(settings.aiProvider);
+  const llm = provider.kind === 'llm';
+  // settings.aiModel is left over from another provider unless this one lets the user pick a model
+  const modelField = provider.fields.some(f => f.key === 'aiModel');
+  return {
+    provider: provider.id,
+    model: llm ? ((modelField && settings.aiModel) || provider.defaults.aiModel || '') : '',
+    targetLang,
+    // the template rendered for a placeholder line changes whenever its wording does
+    promptHash: llm
+      ? hashString(buildTranslationPrompt(['{text}'], '{src}', targetLang) + JSON.stringify(kTranslationSchema))
+      : '',
+  };
+}
+
+function isSameTranslationMeta(a, b) {
+  if (!a || !b) return false;
+  return ['provider', 'model', 'targetLang', 'promptHash'].every(key => a[key] === b[key]);
+}
+
+// Error of a response that cannot be mapped back onto the input lines
+// (merged, split, dropped or unparsable lines); the caller re-requests or bisects
+function mismatchError(message) {
+  return new TranslationError(message, { mismatch: true });
+}
+
+// Parse the JSON array of an LLM reply and match it to the input by id.
+// Structured replies wrap the array as { lines: [...] } (see kTranslationSchema).
+// Plain strings are accepted when the count matches exactly; anything else
+// that does not cover every id exactly once is rejected
+// @returns {string[]} one translation per line of `originalTexts`
+function parseTranslatedArray(rawText, originalTexts, firstId = 0) {
+  let items;
+  try {
+    const cleaned = rawText.replace(/```json/g, '').replace(/```/g, '').trim();
+    items = JSON.parse(cleaned);
+  } catch (e) {
+    throw mismatchError(`Chunk ${firstId} JSON 파싱 실패: ${rawText.slice(0, 100)}`);
+  }
+  if (items && !Array.isArray(items) && Array.isArray(items.lines)) items = items.lines;
+  if (!Array.isArray(items)) throw mismatchError(`Chunk ${firstId} 응답이 배열이 아님`);
+
+  if (items.every(item => typeof item === 'string')) {
+    return checkBatchLength(items, originalTexts, `Chunk ${firstId}`);
+  }
+
+  const byId = new Map();
+  items.forEach(item => {
+    const id = Number(item && item.id);
+    if (byId.has(id)) throw mismatchError(`Chunk ${firstId} 중복된 id ${id}`);
+    byId.set(id, item && item.text);
+  });
+  const translated = originalTexts.map((_, k) => byId.get(firstId + k));
+  const missing = translated.filter(t => typeof t !== 'string').length;
+  if (missing > 0 || byId.size !== originalTexts.length) {
+    throw mismatchError(`Chunk ${firstId} 결과 줄 수 불일치 (${items.length} != ${originalTexts.length}, 누락 ${missing})`);
+  }
+  return translated;
+}
+
+// Machine translation providers return one result per input line; anything
+// else means the batch cannot be mapped back onto the cues
+function checkBatchLength(translated, originalTexts, providerName) {
+  if (!Array.isArray(translated) || translated.length !== originalTexts.length) {
+    throw mismatchError(`${providerName} 결과 줄 수 불일치 (${translated?.length} != ${originalTexts.length})`);
+  }
+  return translated;
+}
+
+// start of an error response body for error messages, as plain text: servers
+// (local ones in particular) often answer with an HTML error page
+function responseExcerpt(body, length = 200) {
+  return String(body || '')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<\/?[a-z!][^>]*>/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, length);
+}
+
+// POST a JSON payload and return the response; HTTP errors are reported as
+// "<label> API 오류 (status) model=...: body" along with the status and
+// Retry-After, so that the caller can tell whether to try again
+async function postRequest(label, url, headers, payload, model, signal) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+    body: JSON.stringify(payload),
+    signal,
+  });
+  if (!response.ok) {
+    const body = await response.text();
+    const modelInfo = model ? ` model=${model}` : '';
+    throw new TranslationError(`${label} API 오류 (${response.status})${modelInfo}: ${responseExcerpt(body)}`, {
+      status: response.status,
+      retryAfter: parseRetryAfter(response.headers.get('retry-after')),
+    });
+  }
+  return response;
+}
+
+// same as postRequest(), resolving with the parsed JSON response
+async function postJson(label, url, headers, payload, model, signal) {
+  const response = await postRequest(label, url, headers, payload, model, signal);
+  return JSON.parse(await response.text());
+}
+
+// Turn the text pieces of a streamed reply into onLine(id, text) calls for the
+// lines of this chunk (see JsonArrayStream)
+// @returns {function} to be called with every piece of text
+function lineStream(originalTexts, firstId, onLine) {
+  const parser = new JsonArrayStream(item => {
+    if (!item || typeof item.text !== 'string') return;
+    const id = Number(item.id);
+    if (id >= firstId && id < firstId + originalTexts.length) onLine(id, item.text);
+  });
+  return text => parser.push(text);
+}
+
+// Extract the assistant text of an OpenAI-style Chat Completions response
+function chatCompletionText(data) {
+  return data?.choices?.[0]?.message?.content || '';
+}
+
+const requireApiKey = label => settings =>
+  settings.aiApiKey ? null : `${label} API 키가 설정되지 않았습니다.`;
+
+const apiKeyField = (label, placeholder, hint) => ({
+  key: 'aiApiKey', label: `${label} API Key`, type: 'password', placeholder, hint,
+});
+
+const modelField = placeholder => ({
+  key: 'aiModel', label: 'Model', type: 'text', placeholder: `e.g. ${placeholder}`,
+});
+
+// -----------------------------------------------------------------------------
+
+registerProvider({
+  id: 'gemini',
+  label: 'Gemini',
+  kind: 'llm',
+  defaults: { aiModel: 'gemini-2.0-flash' },
+  limits: { concurrency: 2, requestsPerMinute: 15, tokensPerMinute: 0 },
+  fields: [
+    apiKeyField('Gemini', 'AIza...', 'Get your key at aistudio.google.com/app/apikey'),
+    modelField('gemini-2.0-flash'),
+  ],
+  validate: requireApiKey('Gemini'),
+  async translate(lines, { srcLang, targetLang, chunkIndex, settings, reference, onLine, signal }) {
+    const model = settings.aiModel || this.defaults.aiModel;
+    const prompt = buildTranslationPrompt(lines, srcLang, targetLang, reference, chunkIndex);
+    const payload = {
+      contents: [{ parts: [{ text: prompt }] }],
+      generationConfig: {
+        responseMimeType: 'application/json',
+        responseSchema: geminiSchema(kTranslationSchema),
+      },
+    };
+    const baseUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}`;
+    const responseText = data => (data.candidates?.[0]?.content?.parts || []).map(p => p.text || '').join('');
+
+    let rawText;
+    let data = {};
+    // the key goes in a header: URLs end up in logs and error messages
+    const headers = { 'x-goog-api-key': settings.aiApiKey };
+    if (onLine) {
+      const response = await postRequest(this.label,
+        `${baseUrl}:streamGenerateContent?alt=sse`, headers, payload, model, signal);
+      const feed = lineStream(lines, chunkIndex, onLine);
+      rawText = '';
+      await readEventStream(response, event => {
+        data = JSON.parse(event);
+        const text = responseText(data);
+        rawText += text;
+        feed(text);
+      });
+    }
+    else {
+      data = await postJson(this.label, `${baseUrl}:generateContent`, headers, payload, model, signal);
+      rawText = responseText(data);
+    }
+    if (!rawText) throw new Error(`Gemini 응답 비어 있음. 응답: ${JSON.stringify(data).slice(0, 200)}`);
+    return parseTranslatedArray(rawText, lines, chunkIndex);
+  },
+});
+
+registerProvider({
+  id: 'openai',
+  label: 'OpenAI',
+  kind: 'llm',
+  defaults: { aiModel: 'gpt-4o-mini' },
+  limits: { concurrency: 3, requestsPerMinute: 60, tokensPerMinute: 0 },
+  fields: [
+    apiKeyField('OpenAI', 'sk-...', 'Get your key at platform.openai.com/api-keys'),
+    modelField('gpt-4o-mini'),
+  ],
+  validate: requireApiKey('OpenAI'),
+  async translate(lines, { srcLang, targetLang, chunkIndex, settings, reference, onLine, signal }) {
+    const model = settings.aiModel || this.defaults.aiModel;
+    const prompt = buildTranslationPrompt(lines, srcLang, targetLang, reference, chunkIndex);
+    const response = await postRequest(this.label, 'https://api.openai.com/v1/chat/completions',
+      { 'Authorization': `Bearer ${settings.aiApiKey}` },
+      {
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.2,
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: 'subtitles', strict: true, schema: kTranslationSchema },
+        },
+        stream: !!onLine,
+      }, model, signal);
+    const rawText = onLine
+      ? await readChatCompletionStream(response, lineStream(lines, chunkIndex, onLine))
+      : chatCompletionText(JSON.parse(await response.text()));
+    if (!rawText) throw new Error('OpenAI 응답 비어 있음');
+    return parseTranslatedArray(rawText, lines, chunkIndex);
+  },
+});
+
+registerProvider({
+  id: 'anthropic',
+  label: 'Anthropic',
+  kind: 'llm',
+  defaults: { aiModel: 'claude-haiku-4-5' },
+  limits: { concurrency: 2, requestsPerMinute: 50, tokensPerMinute: 0 },
+  fields: [
+    apiKeyField('Anthropic', 'sk-ant-...', 'Get your key at console.anthropic.com/settings/keys'),
+    modelField('claude-haiku-4-5'),
+  ],
+  validate: requireApiKey('Anthropic'),
+  async translate(lines, { srcLang, targetLang, chunkIndex, settings, reference, signal }) {
+    const model = settings.aiModel || this.defaults.aiModel;
+    const prompt = buildTranslationPrompt(lines, srcLang, targetLang, reference, chunkIndex);
+    const data = await postJson(this.label, 'https://api.anthropic.com/v1/messages', {
+      'x-api-key': settings.aiApiKey,
+      'anthropic-version': '2023-06-01',
+      // required for CORS requests made from a browser context (the extension's origin too)
+      'anthropic-dangerous-direct-browser-access': 'true',
+    }, {
+      model,
+      max_tokens: 8192,
+      temperature: 0.2,
+      messages: [{ role: 'user', content: prompt }],
+    }, model, signal);
+    const rawText = (data.content || []).filter(c => c.type === 'text').map(c => c.text).join('');
+    if (!rawText) throw new Error(`Anthropic 응답 비어 있음 (stop_reason=${data.stop_reason})`);
+    return parseTranslatedArray(rawText, lines, chunkIndex);
+  },
+});
+
+// token refresh and requests are done by the background (translation-service.js)
+registerProvider({
+  id: 'copilot',
+  label: 'GitHub Copilot',
+  kind: 'llm',
+  auth: 'github',
+  defaults: { aiModel: 'gpt-5-mini' },
+  limits: { concurrency: 2, requestsPerMinute: 30, tokensPerMinute: 0 },
+  fields: [
+    {
+      key: 'aiModel', label: 'Model', type: 'select',
+      options: [
+        'gpt-5-mini',
+        'gpt-5',
+        'gpt-4o',
+        'gpt-4o-mini',
+        'o3-mini',
+        'o3',
+        'claude-3.7-sonnet',
+        'claude-3.5-sonnet',
+        'gemini-2.0-flash',
+      ],
+    },
+  ],
+  validate: settings =>
+    settings.githubOAuthToken ? null : 'GitHub 로그인이 필요합니다 (플러그인 설정 확인)',
+  async translate(lines, { srcLang, targetLang, chunkIndex, reference, relay, onLine }) {
+    const prompt = buildTranslationPrompt(lines, srcLang, targetLang, reference, chunkIndex);
+    const messages = [{ role: 'user', content: prompt }];
+    const onDelta = onLine && lineStream(lines, chunkIndex, onLine);
+    const data = await relay('copilot_translate', { messages, stream: !!onLine }, 30000, onDelta);
+    return parseTranslatedArray(chatCompletionText(data), lines, chunkIndex);
+  },
+});
+
+// OpenAI-compatible endpoint (Ollama, LM Studio, vLLM), requested by the background (translation-service.js).
+// Local servers can be slow on long chunks, so allow more time
+registerProvider({
+  id: 'custom',
+  label: 'Custom',
+  kind: 'llm',
+  defaults: { aiModel: 'llama3.1' },
+  limits: { concurrency: 1, requestsPerMinute: 0, tokensPerMinute: 0 },
+  fields: [
+    {
+      key: 'aiCustomBaseUrl', label: 'Endpoint URL (OpenAI-compatible)', type: 'url',
+      placeholder: 'http://localhost:11434/v1',
+      hint: 'Ollama, LM Studio, vLLM, ... (without /chat/completions)',
+    },
+    {
+      key: 'aiCustomApiKey', label: 'API Key (optional)', type: 'password',
+      placeholder: 'Leave empty if not required',
+    },
+    modelField('llama3.1'),
+  ],
+  validate: settings => {
+    if (!settings.aiCustomBaseUrl) return 'Custom endpoint URL이 설정되지 않았습니다.';
+    if (!settings.aiModel) return 'Custom endpoint 모델이 설정되지 않았습니다.';
+    return null;
+  },
+  async translate(lines, { srcLang, targetLang, chunkIndex, reference, relay, onLine }) {
+    const prompt = buildTranslationPrompt(lines, srcLang, targetLang, reference, chunkIndex);
+    const messages = [{ role: 'user', content: prompt }];
+    const onDelta = onLine && lineStream(lines, chunkIndex, onLine);
+    const data = await relay('custom_translate', { messages, stream: !!onLine }, 120000, onDelta);
+    return parseTranslatedArray(chatCompletionText(data), lines, chunkIndex);
+  },
+});
+
+// requested by the background (translation-service.js); DeepL does not allow CORS
+registerProvider({
+  id: 'deepl',
+  label: 'DeepL',
+  kind: 'mt',
+  defaults: {},
+  limits: { concurrency: 3, requestsPerMinute: 0, tokensPerMinute: 0 },
+  fields: [
+    apiKeyField('DeepL', '...:fx', 'Get your key at deepl.com/your-account/keys'),
+  ],
+  validate: requireApiKey('DeepL'),
+  async translate(lines, { srcLang, targetLang, relay }) {
+    const translations = await relay('deepl_translate', { texts: lines, srcLang, targetLang }, 30000);
+    return checkBatchLength(translations, lines, this.label);
+  },
+});
+
+registerProvider({
+  id: 'google',
+  label: 'Google Translate',
+  kind: 'mt',
+  defaults: {},
+  limits: { concurrency: 4, requestsPerMinute: 0, tokensPerMinute: 0 },
+  fields: [
+    apiKeyField('Google Cloud', 'AIza...', 'Enable Cloud Translation API at console.cloud.google.com'),
+  ],
+  validate: requireApiKey('Google Cloud'),
+  async translate(lines, { srcLang, targetLang, settings, signal }) {
+    const data = await postJson('Google Translation', 'https://translation.googleapis.com/language/translate/v2',
+      { 'X-goog-api-key': settings.aiApiKey }, {
+        q: lines,
+        source: toGoogleLanguage(srcLang),
+        target: toGoogleLanguage(targetLang),
+        format: 'text',
+      }, undefined, signal);
+    const translations = (data.data?.translations || []).map(t => t.translatedText);
+    return checkBatchLength(translations, lines, 'Google Translation');
+  },
+});
+
+// Offline provider for exercising the translation pipeline (progress box,
+// caching, failure paths) without a key or network. Output depends only on
+// the input and the chunk's position, so runs are reproducible
+const kMockTransforms = {
+  tag: (line, targetLang) => `[${targetLang}] ${line}`,
+  reverse: line => Array.from(line).reverse().join(''),
+  upper: line => line.toUpperCase(),
+};
+
+registerProvider({
+  id: 'mock',
+  label: 'Mock (offline)',
+  kind: 'llm',
+  // its own model name, so that its cache and memory entries are never taken for a real model's
+  defaults: { aiModel: 'mock' },
+  limits: { concurrency: 3, requestsPerMinute: 0, tokensPerMinute: 0 },
+  fields: [
+    { key: 'aiMockTransform', label: 'Transform', type: 'select', options: Object.keys(kMockTransforms) },
+    { key: 'aiMockLatencyMs', label: 'Latency per chunk (ms)', type: 'text', placeholder: '300' },
+    {
+      key: 'aiMockFailure', label: 'Simulated failure', type: 'select',
+      options: ['none', 'rate-limit', 'server-error', 'malformed', 'wrong-count'],
+    },
+    {
+      key: 'aiMockFailureEvery', label: 'Fail every n-th chunk', type: 'text', placeholder: '3',
+      hint: 'No network requests are made; for development and testing',
+    },
+  ],
+  validate: () => null,
+  async translate(lines, { targetLang, chunkIndex, settings, onLine, signal }) {
+    const latency = parseInt(settings.aiMockLatencyMs) || 0;
+    const wait = ms => sleep(ms, signal);
+    // a streamed reply spends half of the latency before the first piece, the rest between pieces
+    if (latency > 0) await wait(onLine ? latency / 2 : latency);
+
+    const transform = kMockTransforms[settings.aiMockTransform] || kMockTransforms.tag;
+    const translated = identifyLines(lines.map(line => transform(line, targetLang)), chunkIndex);
+
+    // chunkIndex is the offset of the request's first line; count chunks from 1.
+    // Short last chunks and bisected halves keep the number of the chunk they belong to
+    const every = Math.max(1, parseInt(settings.aiMockFailureEvery) || 1);
+    const chunkNumber = Math.floor(chunkIndex / kChunkSize) + 1;
+    const failure = chunkNumber % every === 0 ? settings.aiMockFailure : 'none';
+
+    switch (failure) {
+      case 'rate-limit':
+        throw new TranslationError(`${this.label} API 오류 (429): simulated rate limit`, { status: 429, retryAfter: 2 });
+      case 'server-error':
+        throw new TranslationError(`${this.label} API 오류 (503): simulated server error`, { status: 503 });
+      case 'malformed':
+        // unterminated array: rejected like a broken LLM reply
+        return parseTranslatedArray(JSON.stringify(translated).slice(0, -1), lines, chunkIndex);
+      case 'wrong-count':
+        // two lines merged into one, as LLMs tend to do with run-on sentences
+        if (translated.length > 1) {
+          translated[0].text += ` ${translated[1].text}`;
+          translated.splice(1, 1);
+        }
+        return parseTranslatedArray(JSON.stringify(translated), lines, chunkIndex);
+      default:
+        if (onLine) {
+          // stream the reply in a few pieces, through the same parser as real streams
+          const rawText = JSON.stringify(translated);
+          const feed = lineStream(lines, chunkIndex, onLine);
+          const pieces = Math.ceil(rawText.length / 64);
+          for (let pos = 0; pos < rawText.length; pos += 64) {
+            await wait(latency / 2 / pieces);
+            feed(rawText.slice(pos, pos + 64));
+          }
+        }
+        return parseTranslatedArray(JSON.stringify(translated), lines, chunkIndex);
+    }
+  },
+});
+
+module.exports = {
+  kChunkSize,
+  registerProvider,
+  getProvider,
+  listProviders,
+  secretSettingKeys,
+  kRateLimitFields,
+  getRateLimits,
+  kTranslationSchema,
+  hashString,
+  responseExcerpt,
+  translationMeta,
+  isSameTranslationMeta,
+  buildTranslationPrompt,
+  parseTranslatedArray,
+  checkBatchLength,
+  postJson,
+  chatCompletionText,
+};
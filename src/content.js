@@ -1,128 +1,205 @@
 const console = require('./console');
+const {
+  kNamespace,
+  kProtocolVersion,
+  kSessionAttribute,
+  createSessionSecret,
+  validatePageMessage,
+  pagePayload,
+} = require('./page-protocol');
 
+// handed to the injected agent only, to authenticate its handshake (see page-protocol.js)
+const gSession = createSessionSecret();
 
-window.addEventListener('load', () => {
-  const scriptsToInject = ['nflxmultisubs.min.js'];
-  scriptsToInject.forEach(scriptName => {
-    const scriptElem = document.createElement('script');
-    scriptElem.setAttribute('type', 'text/javascript');
-    scriptElem.setAttribute('src', chrome.runtime.getURL(scriptName));
-    scriptElem.setAttribute('id', chrome.runtime.id)
-    document.head.appendChild(scriptElem);
-    console.log(`Injected: ${scriptName}`);
-  });
-});
+// The agent has to run before any script of the page: otherwise a page script
+// could read the session secret off the <script> element, or hook what the
+// agent relies on. A <script src> runs whenever it has loaded, so the agent's
+// code is inlined instead. This content script runs at document_start, and an
+// inline script runs synchronously when inserted: the agent reads and removes
+// the secret, and the element is emptied and removed, before the page runs
+// anything.
+function injectAgent() {
+  const scriptName = 'nflxmultisubs.min.js';
+  const request = new XMLHttpRequest();
+  request.open('GET', chrome.runtime.getURL(scriptName), false); // synchronous, see above
+  request.send();
+
+  const scriptElem = document.createElement('script');
+  scriptElem.setAttribute('type', 'text/javascript');
+  scriptElem.setAttribute('id', chrome.runtime.id);
+  scriptElem.setAttribute(kSessionAttribute, gSession);
+  scriptElem.textContent = request.responseText;
+  (document.head || document.documentElement).appendChild(scriptElem);
+  if (scriptElem.hasAttribute(kSessionAttribute)) {
+    // the agent removes it as soon as it runs
+    console.error(`Cannot inject ${scriptName}: the agent did not start (inline scripts blocked?)`);
+    scriptElem.removeAttribute(kSessionAttribute);
+  }
+  scriptElem.textContent = '';
+  scriptElem.remove();
+  console.log(`Injected: ${scriptName}`);
+}
+
+
+// requests from the injected agent that are forwarded to the background once validated;
+// 'ai_translate' is the page's only way to use a provider (keys stay in the background)
+const kBackgroundRelayActions = [
+  'ai_translate',
+  'translation_cache_read',
+  'translation_cache_write',
+  'translation_memory_lookup',
+  'translation_memory_store',
+];
+
+// in-flight translation requests that can be cancelled: reqId => cancel()
+const gRelayCancels = {};
+
+// private channel to the injected agent, opened by its handshake
+let gPagePort = null;
+
+window.addEventListener('message', evt => {
+  if (!evt.data || evt.data.namespace !== kNamespace || evt.data.action !== 'handshake') return;
+  if (gPagePort) return; // one agent per page
+  if (evt.data.session !== gSession || evt.data.version !== kProtocolVersion || !evt.ports || !evt.ports[0]) {
+    console.warn('Rejected handshake from the page');
+    return;
+  }
+  gPagePort = evt.ports[0];
+  gPagePort.onmessage = evt => handlePageMessage(evt.data);
+  console.log('Connected: injected agent');
+}, false);
+
+// once the handshake listener is in place
+injectAgent();
+
+function postToPage(message) {
+  gPagePort && gPagePort.postMessage(message);
+}
 
 
 // Firefox: the target website (our injected agent) cannot connect to extensions
 // directly, thus we need to relay the connection in this content script.
 let gMsgPort;
-window.addEventListener('message', evt => {
-  if (!evt.data || evt.data.namespace !== 'nflxmultisubs') return;
+function handlePageMessage(message) {
+  const invalid = validatePageMessage(message);
+  if (invalid) {
+    console.warn('Rejected request from the page:', invalid);
+    if (message && typeof message.reqId === 'string' && typeof message.action === 'string') {
+      postToPage({ action: `${message.action}_response`, reqId: message.reqId, ok: false, error: invalid, permanent: true });
+    }
+    return;
+  }
+  const request = pagePayload(message);
 
-  if (evt.data.action === 'connect') {
+  if (request.action === 'connect') {
     if (!gMsgPort) {
       gMsgPort = browser.runtime.connect(browser.runtime.id);
       gMsgPort.onMessage.addListener(msg => {
         if (msg.settings) {
-          window.postMessage({
-            namespace: 'nflxmultisubs',
+          postToPage({
             action: 'apply-settings',
             settings: msg.settings,
-          }, '*');
+          });
+        }
+        else if (msg.command) {
+          postToPage({ action: 'player-command', message: msg });
         }
       });
     }
   }
-  else if (evt.data.action === 'disconnect') {
+  else if (request.action === 'disconnect') {
     if (gMsgPort) {
       gMsgPort.disconnect();
       gMsgPort = null;
       gMsgPort.disconnect();
     }
   }
-  else if (evt.data.action === 'update-settings') {
+  else if (request.action === 'update-settings') {
     if (gMsgPort) {
-      if (evt.data.settings) {
-        gMsgPort.postMessage({ settings: evt.data.settings });
+      if (request.settings) {
+        gMsgPort.postMessage({ settings: request.settings });
       }
     }
   }
-  else if (evt.data.action === 'startPlayback') {
+  else if (request.action === 'player-command-result') {
+    if (gMsgPort) {
+      gMsgPort.postMessage({ commandResult: request.commandResult });
+    }
+  }
+  else if (request.action === 'startPlayback') {
     if (gMsgPort) {
       gMsgPort.postMessage({ startPlayback: 1 });
     }
   }
-  else if (evt.data.action === 'stopPlayback') {
+  else if (request.action === 'stopPlayback') {
     if (gMsgPort) {
       gMsgPort.postMessage({ stopPlayback: 1 });
     }
   }
-  else if (evt.data.action === 'cache_read') {
-    chrome.storage.local.get([evt.data.key], result => {
-      window.postMessage({
-        namespace: 'nflxmultisubs',
+  else if (request.action === 'cache_read') {
+    chrome.storage.local.get([request.key], result => {
+      postToPage({
         action: 'cache_read_response',
-        reqId: evt.data.reqId,
-        value: result[evt.data.key] || null,
-      }, '*');
+        reqId: request.reqId,
+        value: result[request.key] || null,
+      });
     });
   }
-  else if (evt.data.action === 'cache_write') {
-    chrome.storage.local.set({ [evt.data.key]: evt.data.value });
+  else if (request.action === 'cache_write') {
+    chrome.storage.local.set({ [request.key]: request.value });
   }
-  else if (evt.data.action === 'copilot_translate') {
-    const { reqId, messages } = evt.data;
-    // Content scripts can fetch external URLs directly (host_permissions cover the Copilot API)
-    // Load settings from storage then call Copilot API directly — avoids service worker sleeping issues
-    chrome.storage.local.get(['settings'], async (result) => {
-      const settings = result.settings || {};
-      try {
-        // Get or refresh Copilot token
-        let copilotToken = settings.githubCopilotToken;
-        const now = Math.floor(Date.now() / 1000);
-        if (!copilotToken || (settings.githubCopilotTokenExpiry || 0) <= now + 60) {
-          if (!settings.githubOAuthToken) throw new Error('GitHub \ub85c\uadf8\uc778\uc774 \ud544\uc694\ud569\ub2c8\ub2e4');
-          const tokenResp = await fetch('https://api.github.com/copilot_internal/v2/token', {
-            headers: {
-              'Authorization': `token ${settings.githubOAuthToken}`,
-              'Editor-Version': 'vscode/1.85.0',
-              'Editor-Plugin-Version': 'copilot-chat/0.12.0',
-              'User-Agent': 'GithubCopilot/1.155.0',
-            },
-          });
-          const tokenBody = await tokenResp.text();
-          if (!tokenResp.ok) throw new Error(`\ud1a0\ud070 \ubc1c\uae09 \uc2e4\ud328 (${tokenResp.status}): ${tokenBody}`);
-          const tokenData = JSON.parse(tokenBody);
-          if (!tokenData.token) throw new Error(`Copilot \ud1a0\ud070 \uc5c6\uc74c: ${tokenBody}`);
-          copilotToken = tokenData.token;
-          // Persist refreshed token
-          chrome.storage.local.set({ settings: Object.assign(settings, {
-            githubCopilotToken: copilotToken,
-            githubCopilotTokenExpiry: tokenData.expires_at,
-          })});
-        }
+  else if (request.action === 'relay_abort') {
+    const cancel = gRelayCancels[request.reqId];
+    if (cancel) cancel();
+  }
+  else if (kBackgroundRelayActions.includes(request.action)) {
+    // Handled by the background, which holds the settings, credentials and host permissions
+    const { reqId } = request;
+    let answered = false;
+    const reply = (resp, error) => {
+      if (answered) return;
+      answered = true;
+      delete gRelayCancels[reqId];
+      postToPage({
+        action: `${request.action}_response`,
+        reqId,
+        ok: !!(resp && resp.ok),
+        data: resp && resp.data,
+        error: error || (resp && resp.error),
+        status: resp && resp.status,
+        retryAfter: resp && resp.retryAfter,
+        timeout: resp && resp.timeout,
+        permanent: resp && resp.permanent,
+        mismatch: resp && resp.mismatch,
+      });
+    };
 
-        const model = settings.aiModel || 'gpt-4o-mini';
-        const apiResp = await fetch('https://api.githubcopilot.com/chat/completions', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${copilotToken}`,
-            'Content-Type': 'application/json',
-            'Copilot-Integration-Id': 'vscode-chat',
-            'Editor-Version': 'vscode/1.85.0',
-            'Editor-Plugin-Version': 'copilot-chat/0.12.0',
-            'User-Agent': 'GithubCopilot/1.155.0',
-          },
-          body: JSON.stringify({ model, messages, temperature: 0.2 }),
-        });
-        const apiBody = await apiResp.text();
-        if (!apiResp.ok) throw new Error(`Copilot API \uc624\ub958 (${apiResp.status}) model=${model}: ${apiBody}`);
-        const data = JSON.parse(apiBody);
-        window.postMessage({ namespace: 'nflxmultisubs', action: 'copilot_translate_response', reqId, ok: true, data }, '*');
-      } catch(e) {
-        window.postMessage({ namespace: 'nflxmultisubs', action: 'copilot_translate_response', reqId, ok: false, error: e.message }, '*');
-      }
-    });
+    if (request.action === 'ai_translate') {
+      // translations go over a port, so that they can be cancelled;
+      // streamed replies come as { delta } messages, then the final response
+      const port = chrome.runtime.connect({ name: 'translate_stream' });
+      port.onMessage.addListener(msg => {
+        if (msg.delta !== undefined) {
+          postToPage({ action: `${request.action}_delta`, reqId, delta: msg.delta });
+          return;
+        }
+        reply(msg);
+        port.disconnect();
+      });
+      port.onDisconnect.addListener(() => {
+        reply(null, (chrome.runtime.lastError && chrome.runtime.lastError.message) || 'Background disconnected');
+      });
+      port.postMessage(request);
+      // closing the port makes the background abort its fetch
+      gRelayCancels[reqId] = () => {
+        port.disconnect();
+        reply(null, 'Cancelled');
+      };
+    }
+    else {
+      chrome.runtime.sendMessage(request, resp => {
+        reply(resp, chrome.runtime.lastError && chrome.runtime.lastError.message);
+      });
+    }
   }
-}, false);
+}
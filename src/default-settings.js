@@ -1,4 +1,7 @@
 const kDefaultSettings = {
+  // schema version of the stored settings; bump it along with a new migration
+  // in settings-schema.js
+  settingsVersion: 1,
   upperBaselinePos: 0.15,
   lowerBaselinePos: 0.85,
   primaryImageScale: 0.75,
@@ -22,11 +25,36 @@ const kDefaultSettings = {
   secondaryLanguageLastUsedIsCaption: false,
 
   // AI Translation settings
-  // aiProvider valid values: 'gemini', 'openai', 'copilot'
+  // aiProvider valid values: 'gemini', 'openai', 'anthropic', 'copilot', 'custom',
+  //    'deepl', 'google' (machine translation, no model),
+  //    'mock' (offline, deterministic; for development and testing)
   aiProvider: 'gemini',
   aiApiKey: '',
-  // model name per provider (e.g. 'gemini-2.0-flash', 'gpt-4o-mini')
+  // OpenAI-compatible endpoint for the 'custom' provider (Ollama, LM Studio, vLLM, ...)
+  // base URL without the trailing `/chat/completions`, e.g. 'http://localhost:11434/v1'
+  aiCustomBaseUrl: '',
+  // optional bearer token for the custom endpoint (most local servers need none)
+  aiCustomApiKey: '',
+  // per-provider scheduling budget overrides, e.g. { gemini: { concurrency: 2, requestsPerMinute: 15, tokensPerMinute: 0 } }
+  // missing values fall back to the provider's defaults (see ai-providers.js)
+  aiRateLimits: {},
+  // 'mock' provider behaviour
+  // aiMockTransform valid values: 'tag' (prefix with target language), 'reverse', 'upper'
+  aiMockTransform: 'tag',
+  // simulated response time per chunk, in milliseconds
+  aiMockLatencyMs: 300,
+  // aiMockFailure valid values: 'none', 'rate-limit' (429), 'server-error' (503),
+  //    'malformed' (broken JSON), 'wrong-count' (two lines merged into one)
+  aiMockFailure: 'none',
+  // the failure hits every n-th chunk (1 = every chunk)
+  aiMockFailureEvery: 3,
+  // model name per provider (e.g. 'gemini-2.0-flash', 'gpt-4o-mini', 'claude-haiku-4-5')
   aiModel: 'gemini-2.0-flash',
+  // bcp47 code of the language AI tracks are translated into (see ai-languages.js)
+  aiTargetLanguage: 'ko',
+  // storage budget of cached AI translations in MB; least recently used ones are
+  // evicted beyond it (chrome.storage.local holds 10 MB in total)
+  aiCacheBudgetMB: 5,
   // GitHub Copilot OAuth token (long-lived, stored after device flow)
   githubOAuthToken: '',
   // GitHub Copilot short-lived API token (auto-refreshed)
@@ -0,0 +1,84 @@
+// =============================================================================
+// Per-show glossary for AI translation
+// =============================================================================
+// Stored in chrome.storage.local under `glossary_<seriesId>` (the show id for
+// series, the movie id otherwise):
+//    {
+//      seriesId, title,
+//      terms: [{ source, target }],   // edited in the options page, injected into every prompt
+//      candidates: [source, ...],     // auto-extracted proper nouns not yet in terms
+//      updatedAt,                     // ms since epoch
+//    }
+
+const kGlossaryKeyPrefix = 'glossary_';
+
+// capitalised words that start a line often enough to look like names
+const kStopWords = new Set([
+  'I', 'Im', 'Ill', 'Ive', 'Id', 'OK', 'Okay', 'Oh', 'Hey', 'Yes', 'No', 'Yeah', 'Well',
+  'Mr', 'Mrs', 'Ms', 'Dr', 'Sir', 'The', 'A', 'An', 'And', 'But', 'So', 'What', 'Why',
+  'How', 'Who', 'Where', 'When', 'Please', 'Thank', 'Thanks', 'God', 'Hello', 'Hi',
+]);
+
+function glossaryKey(seriesId) {
+  return `${kGlossaryKeyPrefix}${seriesId}`;
+}
+
+function createGlossary(seriesId, title) {
+  return { seriesId: String(seriesId), title: title || '', terms: [], candidates: [], updatedAt: Date.now() };
+}
+
+// Find capitalised words (and runs of them, e.g. "Walter White") that appear
+// mid-sentence at least `minCount` times; sentence-initial words are ignored
+// because capitalisation there says nothing. Only useful for Latin scripts.
+function extractCandidateTerms(texts, minCount = 2, limit = 50) {
+  const counts = {};
+  texts.forEach(text => {
+    (text || '').split(/(?<=[.!?…])\s+|\n/).forEach(sentence => {
+      const trimmed = sentence.replace(/^[\s\-–—"'“‘(\[]+/, '');
+      const regex = /\p{Lu}\p{Ll}+(?:[ -]\p{Lu}\p{Ll}+)*/gu;
+      let match;
+      while ((match = regex.exec(trimmed)) !== null) {
+        let term = match[0];
+        if (match.index === 0) {
+          // drop the sentence-initial word, keep whatever capitalised run follows it
+          const rest = term.match(/^\S+[ -](.+)$/u);
+          if (!rest) continue;
+          term = rest[1];
+        }
+        if (kStopWords.has(term.replace(/[’']/g, ''))) continue;
+        counts[term] = (counts[term] || 0) + 1;
+      }
+    });
+  });
+  return Object.entries(counts)
+    .filter(([, count]) => count >= minCount)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([term]) => term);
+}
+
+// add newly found candidates that are neither terms nor known candidates
+// @returns {boolean} Changed?
+function mergeCandidates(glossary, candidates) {
+  const known = new Set(glossary.terms.map(t => t.source).concat(glossary.candidates));
+  const fresh = candidates.filter(c => !known.has(c));
+  if (fresh.length === 0) return false;
+  glossary.candidates = glossary.candidates.concat(fresh);
+  glossary.updatedAt = Date.now();
+  return true;
+}
+
+// terms that have a translation, as handed to the prompt
+function glossaryPromptTerms(glossary) {
+  if (!glossary || !glossary.terms) return [];
+  return glossary.terms.filter(t => t.source && t.target);
+}
+
+module.exports = {
+  kGlossaryKeyPrefix,
+  glossaryKey,
+  createGlossary,
+  extractCandidateTerms,
+  mergeCandidates,
+  glossaryPromptTerms,
+};
@@ -0,0 +1,72 @@
+// Incremental parser for a JSON array that arrives in pieces (a streamed LLM
+// reply). Every top-level element of the array is handed to onItem(value) as
+// soon as its closing bracket or quote has arrived. The array may be wrapped,
+// e.g. { "lines": [...] } or a ```json fence: the first '[' opens the array
+// that is tracked, and anything after its closing ']' is ignored. Elements that
+// fail to parse are skipped; the complete reply is validated separately anyway.
+class JsonArrayStream {
+  constructor(onItem) {
+    this.onItem = onItem;
+    this.buffer = '';
+    this.pos = 0; // next character to scan
+    this.depth = 0; // bracket nesting at `pos`
+    this.arrayDepth = -1; // nesting inside the tracked array; -1 until its '[' is seen
+    this.inString = false;
+    this.escaped = false;
+    this.itemStart = -1; // start of the element being read, -1 if none
+    this.closed = false; // the tracked array has ended
+  }
+
+
+  push(text) {
+    if (this.closed) return;
+    this.buffer += text;
+    for (; this.pos < this.buffer.length; this.pos++) {
+      const ch = this.buffer[this.pos];
+      if (this.inString) {
+        if (this.escaped) this.escaped = false;
+        else if (ch === '\\') this.escaped = true;
+        else if (ch === '"') {
+          this.inString = false;
+          if (this.depth === this.arrayDepth) this.emit(); // string element
+        }
+        continue;
+      }
+
+      if (ch === '"') {
+        this.inString = true;
+        if (this.depth === this.arrayDepth) this.itemStart = this.pos;
+      }
+      else if (ch === '{' || ch === '[') {
+        if (this.depth === this.arrayDepth) this.itemStart = this.pos;
+        this.depth++;
+        if (ch === '[' && this.arrayDepth === -1) this.arrayDepth = this.depth;
+      }
+      else if (ch === '}' || ch === ']') {
+        this.depth--;
+        if (this.depth === this.arrayDepth) this.emit();
+        else if (this.depth < this.arrayDepth) {
+          // e.g. { "lines": [...], "notes": [...] }: later arrays are not translations
+          this.closed = true;
+          return;
+        }
+      }
+    }
+  }
+
+
+  emit() {
+    if (this.itemStart === -1) return;
+    const json = this.buffer.slice(this.itemStart, this.pos + 1);
+    this.itemStart = -1;
+    let value;
+    try {
+      value = JSON.parse(json);
+    } catch (e) {
+      return;
+    }
+    this.onItem(value);
+  }
+}
+
+module.exports = JsonArrayStream;
@@ -1,7 +1,15 @@
 const console = require('./console');
 const JSZip = require('jszip');
 const kDefaultSettings = require('./default-settings');
+const { getAiLanguage } = require('./ai-languages');
+const { kChunkSize, getProvider, getRateLimits, translationMeta, isSameTranslationMeta } = require('./ai-providers');
+const translationPack = require('./translation-pack');
+const glossary = require('./glossary');
 const PlaybackRateController = require('./playback-rate-controller');
+const TranslationScheduler = require('./translation-scheduler');
+const RateLimiter = require('./rate-limiter');
+const { TranslationError, kRetryPolicy, isAbortError, isTransientError, withRetry } = require('./retry-policy');
+const { kNamespace, kProtocolVersion, kSessionAttribute } = require('./page-protocol');
 
 ////////////////////////////////////////////////////////////////////////////////
 
@@ -15,6 +23,10 @@ const hookJsonParseAndAddCallback = function (_window) {
       const movieId = result.result.movieId;
       window.__NflxMultiSubs.updateManifest(result.result);
     }
+    // title metadata (title, synopsis, seasons & episodes), used as AI translation context
+    else if (result && result.video && result.video.id && result.video.title) {
+      window.__NflxMultiSubs.updateMetadata(result.video);
+    }
     return result;
   };
 };
@@ -60,6 +72,30 @@ let gRenderOptions = Object.assign({}, kDefaultSettings);
 let gSecondaryOffset = 0; // used to move secondary subs if primary subs overflow the screen edge
 const extensionId = document.currentScript.id;
 
+// Private channel to content.js (see page-protocol.js): the handshake carries the
+// session secret content.js left on our <script> element, which is removed right away
+const gContentChannel = new MessageChannel();
+const gContentListeners = new Set();
+(() => {
+  const session = document.currentScript.getAttribute(kSessionAttribute);
+  document.currentScript.removeAttribute(kSessionAttribute);
+  gContentChannel.port1.onmessage = evt => gContentListeners.forEach(listener => listener(evt.data));
+  window.postMessage({ namespace: kNamespace, action: 'handshake', version: kProtocolVersion, session },
+    '*', [gContentChannel.port2]);
+})();
+
+function postToContent(message) {
+  gContentChannel.port1.postMessage(Object.assign({ version: kProtocolVersion }, message));
+}
+
+function addContentListener(listener) {
+  gContentListeners.add(listener);
+}
+
+function removeContentListener(listener) {
+  gContentListeners.delete(listener);
+}
+
 function getMsgPort() {
   if (gMsgPort) return gMsgPort;
 
@@ -72,6 +108,7 @@ function getMsgPort() {
   console.log(`Linked: ${extensionId}`);
 
   gMsgPort.onMessage.addListener(msg => {
+    if (msg.command) handlePlayerCommand(msg);
     if (!msg.settings) return;
     gRenderOptions = Object.assign({}, msg.settings);
     gRendererLoop && gRendererLoop.setRenderDirty();
@@ -100,27 +137,23 @@ if (BROWSER !== 'firefox') {
 
 // Firefox: this injected agent cannot talk to extension directly, thus the
 // connection (for applying settings) is relayed by our content script through
-// window.postMessage().
+// the content channel.
 
 if (BROWSER === 'firefox') {
-  window.addEventListener(
-    'message',
-    evt => {
-      if (!evt.data || evt.data.namespace !== 'nflxmultisubs') return;
-
-      if (evt.data.action === 'apply-settings' && evt.data.settings) {
-        gRenderOptions = Object.assign({}, evt.data.settings);
-        gRendererLoop && gRendererLoop.setRenderDirty();
-      }
-    },
-    false
-  );
+  addContentListener(message => {
+    if (message.action === 'apply-settings' && message.settings) {
+      gRenderOptions = Object.assign({}, message.settings);
+      gRendererLoop && gRendererLoop.setRenderDirty();
+    }
+    else if (message.action === 'player-command' && message.message) {
+      handlePlayerCommand(message.message);
+    }
+  });
 
   try {
-    window.postMessage({
-      namespace: 'nflxmultisubs',
+    postToContent({
       action: 'connect'
-    }, '*');
+    });
   } catch (err) {
     console.warn('Error: cannot talk to background,', err);
   }
@@ -525,10 +558,9 @@ class SubtitleFactory {
 // ================= [AI 번역: 스트리밍 & 버퍼링 모드] =================
 
 // AI settings are taken from gRenderOptions (synced with chrome.storage via service_worker)
-const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
 // 진행률 박스 UI 생성 함수
-function updateProgressUI(current, total, isComplete = false, errorMsg = null, isFatalError = false) {
+function updateProgressUI(current, total, isComplete = false, errorMsg = null, isFatalError = false, targetName = '') {
   let progressBox = document.getElementById('ai-progress-box');
   if (!progressBox) {
     progressBox = document.createElement('div');
@@ -541,7 +573,9 @@ function updateProgressUI(current, total, isComplete = false, errorMsg = null, i
 
   if (isFatalError) {
     progressBox.style.borderLeftColor = '#ff4444';
-    progressBox.innerHTML = `❌ 번역 실패<br><span style="font-size:11px;font-weight:normal;color:#ffaaaa">${errorMsg || ''}</span><br><span style="font-size:10px;color:#aaa">플러그인 설정에서 AI Provider / API 키를 확인하세요</span>`;
+    progressBox.innerHTML = `❌ 번역 실패<br><span style="font-size:11px;font-weight:normal;color:#ffaaaa"></span><br><span style="font-size:10px;color:#aaa">플러그인 설정에서 AI Provider / API 키를 확인하세요</span>`;
+    // 오류 메시지에는 모델/서버 응답 일부가 들어 있으므로 HTML로 넣지 않음
+    progressBox.querySelector('span').textContent = errorMsg || '';
     setTimeout(() => { progressBox.style.opacity = 0; }, 10000);
     setTimeout(() => { progressBox.remove(); }, 11000);
   } else if (isComplete) {
@@ -550,176 +584,256 @@ function updateProgressUI(current, total, isComplete = false, errorMsg = null, i
     setTimeout(() => { progressBox.remove(); }, 6000);
   } else if (errorMsg) {
     progressBox.style.borderLeftColor = '#ffaa00';
-    progressBox.innerHTML = `⚠️ 쫑크 실패 (${percent}%)<br><span style="font-size:11px;font-weight:normal;color:#ffdd88">${errorMsg}</span>`;
+    progressBox.innerHTML = `⚠️ 쫑크 실패 (${percent}%)<br><span style="font-size:11px;font-weight:normal;color:#ffdd88"></span>`;
+    progressBox.querySelector('span').textContent = errorMsg;
   } else {
     progressBox.style.borderLeftColor = '#e50914';
     progressBox.innerHTML = `
-      ⚡ 실시간 번역 중... (${percent}%) <br>
+      ⚡ 실시간 ${targetName} 번역 중... (${percent}%) <br>
       <span style="font-size:12px; color:#ddd; font-weight:normal;">
         ${current} / ${total} 줄 완료 <br>
-        영화 보셔도 됩니다 (앞부분부터 순차 적용됨)
+        영화 보셔도 됩니다 (현재 재생 위치부터 적용됨)
       </span>
     `;
   }
 }
 
+// 짧은 안내 메시지 (번역 팩 내보내기/가져오기 결과 등)
+function showAiNotice(message, isError = false) {
+  let noticeBox = document.getElementById('ai-notice-box');
+  if (!noticeBox) {
+    noticeBox = document.createElement('div');
+    noticeBox.id = 'ai-notice-box';
+    noticeBox.style.cssText = "position: fixed; top: 140px; left: 20px; background: rgba(0, 0, 0, 0.7); color: #fff; padding: 10px 15px; z-index: 9999; border-radius: 8px; font-size: 13px; font-weight: bold; border-left: 4px solid #44aa44; pointer-events: none; transition: opacity 0.5s;";
+    document.body.appendChild(noticeBox);
+  }
+  noticeBox.style.borderLeftColor = isError ? '#ff4444' : '#44aa44';
+  noticeBox.style.opacity = 1;
+  noticeBox.textContent = message;
+  clearTimeout(noticeBox.hideTimer);
+  noticeBox.hideTimer = setTimeout(() => noticeBox.remove(), 6000);
+}
+
 // =============================================================================
 // 번역 캐시 (chrome.storage.local via content.js relay)
 // =============================================================================
-function cacheKey(movieId, srcLang) {
-  return `ai_cache_${movieId}_${srcLang}`;
+function cacheKey(movieId, srcLang, targetLang) {
+  return `ai_cache_${movieId}_${srcLang}_${targetLang}`;
 }
 
-function getCachedTranslation(movieId, srcLang) {
+let gStorageReqSeq = 0;
+
+// chrome.storage.local 읽기 (content.js relay); 없거나 타임아웃이면 null
+function readStorage(key) {
   return new Promise(resolve => {
-    const reqId = `cache_read_${Date.now()}`;
-    const key = cacheKey(movieId, srcLang);
-    const handler = evt => {
-      if (!evt.data || evt.data.namespace !== 'nflxmultisubs') return;
-      if (evt.data.action !== 'cache_read_response' || evt.data.reqId !== reqId) return;
-      window.removeEventListener('message', handler);
-      resolve(evt.data.value); // null 또는 [{id, text}, ...]
+    const reqId = `cache_read_${Date.now()}_${gStorageReqSeq++}`;
+    const handler = message => {
+      if (message.action !== 'cache_read_response' || message.reqId !== reqId) return;
+      removeContentListener(handler);
+      resolve(message.value);
     };
-    window.addEventListener('message', handler);
-    window.postMessage({ namespace: 'nflxmultisubs', action: 'cache_read', reqId, key }, '*');
+    addContentListener(handler);
+    postToContent({ action: 'cache_read', reqId, key });
     // 3초 타임아웃 대비
-    setTimeout(() => { window.removeEventListener('message', handler); resolve(null); }, 3000);
+    setTimeout(() => { removeContentListener(handler); resolve(null); }, 3000);
   });
 }
 
-function setCachedTranslation(movieId, srcLang, lines) {
-  const key = cacheKey(movieId, srcLang);
-  const value = lines.map(l => ({ id: l.id, text: l.text }));
-  window.postMessage({ namespace: 'nflxmultisubs', action: 'cache_write', key, value }, '*');
+function writeStorage(key, value) {
+  postToContent({ action: 'cache_write', key, value });
 }
 
-function getMovieId() {
-  const m = window.location.pathname.match(/\/watch\/(\d+)/);
-  return m ? m[1] : null;
-}
-
-// Build translation prompt shared across providers
-function buildTranslationPrompt(originalTexts, srcLang = 'en') {
-  const langNames = {
-    'en': 'English', 'ja': 'Japanese', 'zh': 'Chinese',
-    'zh-Hans': 'Chinese (Simplified)', 'zh-Hant': 'Chinese (Traditional)',
-    'fr': 'French', 'es': 'Spanish', 'de': 'German',
+// 캐시 항목: 청크가 끝날 때마다 저장되므로 중간에 닫아도 번역된 부분은 남음
+//    {
+//      meta: { provider, model, targetLang, promptHash, createdAt },  // 번역에 쓴 설정
+//      lineCount, translations: [번역문 | null, ...] (줄 순서), complete, updatedAt,
+//      sources: ['ai' | 'memory' | 'pack' | null, ...],  // 줄마다 번역 출처 (provider, 번역 메모리, 번역 팩)
+//    }
+function createCacheEntry(lineCount, meta) {
+  return {
+    meta: Object.assign({ createdAt: Date.now() }, meta),
+    lineCount,
+    translations: new Array(lineCount).fill(null),
+    sources: new Array(lineCount).fill(null),
+    complete: false,
+    updatedAt: Date.now(),
   };
-  const srcName = langNames[srcLang] || srcLang;
-  return `Translate these subtitles from ${srcName} to Korean naturally.
-Context: Netflix Movie/Show.
-Rules:
-1. Keep exactly ${originalTexts.length} lines.
-2. No line numbers.
-3. Keep music/sound effects as is.
-4. Output strictly a JSON array of strings.
-
-Input:
-${JSON.stringify(originalTexts)}`;
 }
 
-// Parse translated JSON array from raw LLM text
-function parseTranslatedArray(rawText, chunkIndex) {
-  try {
-    const cleaned = rawText.replace(/```json/g, '').replace(/```/g, '').trim();
-    return JSON.parse(cleaned);
-  } catch (e) {
-    console.warn(`Chunk ${chunkIndex} JSON 파싱 실패, 텍스트 모드로 대체`);
-    return rawText.split('\n').filter(t => t.trim());
+// @returns {Promise<object|null>} 이 자막(줄 수)과 현재 설정(meta)에 맞는 캐시 항목, 없으면 null.
+// 메타데이터가 없는 이전 형식이나 다른 provider/모델/프롬프트로 만든 번역은 사용하지 않음.
+// 번역 캐시는 service_worker가 관리 (용량 한도, 오래 안 쓴 것부터 삭제; translation-cache.js)
+// 가져온 번역 팩(meta.imported)은 대상 언어만 맞으면 사용
+async function getCachedTranslation(movieId, srcLang, targetLang, textLines, meta) {
+  const cached = await readCachedTranslation(movieId, srcLang, targetLang);
+  if (!cached || cached.lineCount !== textLines.length) return null;
+  const imported = cached.meta && cached.meta.imported && cached.meta.targetLang === meta.targetLang;
+  if (!imported && !isSameTranslationMeta(cached.meta, meta)) {
+    console.log('[AI 번역] 캐시가 현재 설정과 달라 다시 번역:', cached.meta, meta);
+    return null;
   }
+  return cached;
 }
 
-// --- Provider: Gemini ---
-async function translateWithGemini(originalTexts, chunkIndex, srcLang = 'en') {
-  const apiKey = gRenderOptions.aiApiKey;
-  if (!apiKey) throw new Error('Gemini API 키가 설정되지 않았습니다.');
-  const model = gRenderOptions.aiModel || 'gemini-2.0-flash';
-  const prompt = buildTranslationPrompt(originalTexts, srcLang);
-  const response = await fetch(
-    `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
-    {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ contents: [{ parts: [{ text: prompt }] }] }),
-    }
-  );
-  const body = await response.text();
-  if (!response.ok) throw new Error(`Gemini API 오류 (${response.status}) model=${model}: ${body}`);
-  const data = JSON.parse(body);
-  const rawText = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-  if (!rawText) throw new Error(`Gemini 응답 비어 있음. 응답: ${body.slice(0, 200)}`);
-  return parseTranslatedArray(rawText, chunkIndex);
+// 설정과 상관없이 저장된 캐시 항목 그대로; 없으면 null
+function readCachedTranslation(movieId, srcLang, targetLang) {
+  const key = cacheKey(movieId, srcLang, targetLang);
+  return relayToBackground('translation_cache_read', 'Cache', { key }, 0, 3000)
+    .catch(err => {
+      console.warn('[AI 번역] 캐시 읽기 실패:', err.message);
+      return null;
+    });
 }
 
-// --- Provider: OpenAI ---
-async function translateWithOpenAI(originalTexts, chunkIndex, srcLang = 'en') {
-  const apiKey = gRenderOptions.aiApiKey;
-  if (!apiKey) throw new Error('OpenAI API 키가 설정되지 않았습니다.');
-  const model = gRenderOptions.aiModel || 'gpt-4o-mini';
-  const prompt = buildTranslationPrompt(originalTexts, srcLang);
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({ model, messages: [{ role: 'user', content: prompt }], temperature: 0.2 }),
-  });
-  const body = await response.text();
-  if (!response.ok) throw new Error(`OpenAI API 오류 (${response.status}): ${body.slice(0, 200)}`);
-  const data = JSON.parse(body);
-  const rawText = data.choices?.[0]?.message?.content || '';
-  if (!rawText) throw new Error(`OpenAI 응답 비어 있음`);
-  return parseTranslatedArray(rawText, chunkIndex);
+// `title`은 팝업의 캐시 목록에 표시됨
+function setCachedTranslation(movieId, srcLang, targetLang, entry, title) {
+  entry.updatedAt = Date.now();
+  const key = cacheKey(movieId, srcLang, targetLang);
+  return relayToBackground('translation_cache_write', 'Cache', { key, value: entry, title }, 0, 10000)
+    .catch(err => console.warn('[AI 번역] 캐시 저장 실패:', err.message));
+}
+
+// =============================================================================
+// 번역 메모리: 에피소드/작품을 넘어 반복되는 짧은 줄 재사용 (translation-memory.js)
+// =============================================================================
+// 원문 언어 + 대상 언어 + provider + 모델별 (Google/DeepL은 모델 없음)
+function translationMemoryScope(srcLang, targetLang, meta) {
+  return { srcLang, targetLang, provider: meta.provider, model: meta.model || '' };
 }
 
-// --- Provider: GitHub Copilot (relayed via content.js → service_worker) ---
-async function translateWithCopilot(originalTexts, chunkIndex, srcLang = 'en') {
-  const prompt = buildTranslationPrompt(originalTexts, srcLang);
-  const messages = [{ role: 'user', content: prompt }];
-  const reqId = `copilot_${Date.now()}_${chunkIndex}`;
+// @returns {Promise<Array<string|null>>} 줄마다 기억된 번역문; 실패하면 모두 null
+function lookupTranslationMemory(scope, texts) {
+  return relayToBackground('translation_memory_lookup', 'Translation memory', { scope, texts }, 0, 3000)
+    .catch(err => {
+      console.warn('[AI 번역] 번역 메모리 조회 실패:', err.message);
+      return texts.map(() => null);
+    });
+}
+
+// pairs: [{ source, text }]
+function storeTranslationMemory(scope, pairs) {
+  if (pairs.length === 0) return;
+  relayToBackground('translation_memory_store', 'Translation memory', { scope, pairs }, 0, 10000)
+    .catch(err => console.warn('[AI 번역] 번역 메모리 저장 실패:', err.message));
+}
+
+// 화면에 표시할 자막 줄: 원문 + 번역문 (Dual Subtitle Logic)
+function mergeTranslation(source, translated) {
+  return `${source.replace(/\n/g, ' ')}\n${translated}`;
+}
+
+// 작품(시리즈)별 용어집 로드 + 원문 자막에서 고유명사 후보 추출해 저장
+// @returns {Promise<Array<{source, target}>>} 프롬프트에 넣을 용어 목록
+async function loadGlossaryTerms(seriesId, title, sourceTexts) {
+  if (!seriesId) return [];
+  const key = glossary.glossaryKey(seriesId);
+  const stored = (await readStorage(key)) || glossary.createGlossary(seriesId, title);
+  const titleChanged = title && stored.title !== title;
+  if (titleChanged) stored.title = title;
+  const candidates = glossary.extractCandidateTerms(sourceTexts);
+  if (glossary.mergeCandidates(stored, candidates) || titleChanged) {
+    writeStorage(key, stored);
+  }
+  return glossary.glossaryPromptTerms(stored);
+}
+
+function getMovieId() {
+  const m = window.location.pathname.match(/\/watch\/(\d+)/);
+  return m ? m[1] : null;
+}
+
+// bcp47 code of the language new AI tracks are translated into
+function getAiTargetLanguage() {
+  return gRenderOptions.aiTargetLanguage || kDefaultSettings.aiTargetLanguage;
+}
+
+let gRelayReqSeq = 0;
+
+// Relay a request through content.js (→ service_worker) and resolve with the
+// backend's response data; `action` selects the backend. With `onDelta` the
+// reply is streamed: onDelta(text) is called for every piece, and the timeout
+// counts from the last piece received. Aborting `signal` cancels the request
+// in content.js / service_worker as well
+function relayToBackground(action, providerName, payload, chunkIndex, timeoutMs, onDelta, signal) {
+  const reqId = `${action}_${Date.now()}_${chunkIndex}_${gRelayReqSeq++}`;
 
   return new Promise((resolve, reject) => {
-    const timeout = setTimeout(() => {
-      window.removeEventListener('message', handler);
-      reject(new Error('Copilot 응답 타임아웃 (30초)'));
-    }, 30000);
-
-    function handler(evt) {
-      if (!evt.data || evt.data.namespace !== 'nflxmultisubs') return;
-      if (evt.data.action !== 'copilot_translate_response') return;
-      if (evt.data.reqId !== reqId) return;
+    if (signal && signal.aborted) return reject(signal.reason);
+    let timeout;
+    const onAbort = () => {
+      clearTimeout(timeout);
+      removeContentListener(handler);
+      postToContent({ action: 'relay_abort', reqId });
+      reject(signal.reason);
+    };
+    const armTimeout = () => {
       clearTimeout(timeout);
-      window.removeEventListener('message', handler);
-      if (!evt.data.ok) return reject(new Error(evt.data.error || 'Copilot 번역 실패'));
-      const rawText = evt.data.data?.choices?.[0]?.message?.content || '';
-      resolve(parseTranslatedArray(rawText, chunkIndex));
+      timeout = setTimeout(() => {
+        removeContentListener(handler);
+        signal && signal.removeEventListener('abort', onAbort);
+        reject(new TranslationError(`${providerName} 응답 타임아웃 (${timeoutMs / 1000}초)`, { timeout: true }));
+      }, timeoutMs);
+    };
+
+    function handler(message) {
+      if (message.reqId !== reqId) return;
+      if (message.action === `${action}_delta`) {
+        armTimeout();
+        onDelta && onDelta(message.delta);
+        return;
+      }
+      if (message.action !== `${action}_response`) return;
+      clearTimeout(timeout);
+      removeContentListener(handler);
+      signal && signal.removeEventListener('abort', onAbort);
+      if (!message.ok) {
+        const { status, retryAfter, timeout, permanent, mismatch } = message;
+        return reject(new TranslationError(message.error || `${providerName} 번역 실패`, { status, retryAfter, timeout, permanent, mismatch }));
+      }
+      resolve(message.data);
     }
 
-    window.addEventListener('message', handler);
-    window.postMessage({
-      namespace: 'nflxmultisubs',
-      action: 'copilot_translate',
+    armTimeout();
+    addContentListener(handler);
+    signal && signal.addEventListener('abort', onAbort, { once: true });
+    postToContent(Object.assign({
+      action,
       reqId,
-      messages,
-    }, '*');
+    }, payload));
   });
 }
 
-// Route to the right provider
-async function translateChunk(originalTexts, chunkIndex, srcLang) {
-  const provider = gRenderOptions.aiProvider || 'gemini';
-  switch (provider) {
-    case 'openai': return translateWithOpenAI(originalTexts, chunkIndex, srcLang);
-    case 'copilot': return translateWithCopilot(originalTexts, chunkIndex, srcLang);
-    case 'gemini':
-    default:
-      return translateWithGemini(originalTexts, chunkIndex, srcLang);
-  }
+// 번역 요청은 service_worker가 설정된 provider로 처리 (API 키는 이 페이지로 오지 않음).
+// provider의 자체 타임아웃보다 길게: 이쪽은 service_worker가 응답하지 않을 때만 해당
+const kTranslateTimeoutMs = 150000;
+
+// Translate through the background with the provider selected in settings (see
+// ai-providers.js); `onLine(id, text)` asks for a streamed reply, `signal` cancels the request
+async function translateChunk(originalTexts, chunkIndex, srcLang, targetLang, reference = {}, onLine = null, signal = undefined) {
+  const provider = getProvider(gRenderOptions.aiProvider);
+  const onDelta = onLine && (line => onLine(line.id, line.text));
+  return relayToBackground('ai_translate', provider.label, {
+    texts: originalTexts,
+    srcLang,
+    targetLang,
+    chunkIndex,
+    reference,
+    stream: !!onLine,
+  }, chunkIndex, kTranslateTimeoutMs, onDelta, signal);
+}
+
+// provider별 분당 요청/토큰 한도 (번역 실행 간에 공유)
+const gRateLimiters = {};
+function getRateLimiter(providerId, limits) {
+  if (!gRateLimiters[providerId]) gRateLimiters[providerId] = new RateLimiter(limits);
+  else gRateLimiters[providerId].configure(limits);
+  return gRateLimiters[providerId];
 }
 
-// 덩어리(Chunk) 단위로 번역해서 바로바로 적용하는 함수
-async function runStreamTranslation(subtitleInstance) {
+// 덩어리(Chunk) 단위로 번역해서 바로바로 적용하는 함수.
+// `signal`이 abort되면 (작품 변경, 자막 해제) 진행 중인 요청을 취소하고 멈춤;
+// 완료된 청크는 subtitleInstance.translation에 남아 다시 선택하면 이어서 번역
+async function runStreamTranslation(subtitleInstance, signal) {
   const textLines = subtitleInstance.lines;
   if (!textLines || textLines.length === 0) {
     console.warn('[AI 번역] textLines 비어 있음 — 중단');
@@ -727,72 +841,253 @@ async function runStreamTranslation(subtitleInstance) {
   }
 
   const srcLang = subtitleInstance.srcLang || 'en';
+  const targetLang = subtitleInstance.targetLang || getAiTargetLanguage();
+  const targetName = getAiLanguage(targetLang).nativeName;
   const movieId = getMovieId();
 
-  // 캐시 확인
-  if (movieId) {
-    const cached = await getCachedTranslation(movieId, srcLang);
-    if (cached && cached.length === textLines.length) {
-      console.log(`[AI 번역] 캐시 히트! (${cached.length}줄) 저장된 번역 로드...`);
-      cached.forEach(c => {
-        const line = textLines.find(l => l.id === c.id);
-        if (line) line.text = c.text;
+  // lines[].text는 번역 후 "원문\n번역문"으로 바뀌므로 원문은 따로 보관
+  if (!subtitleInstance.sourceTexts) subtitleInstance.sourceTexts = textLines.map(l => l.text);
+  const sourceTexts = subtitleInstance.sourceTexts;
+  const meta = translationMeta(gRenderOptions, targetLang);
+
+  // 취소됐던 번역은 설정이 그대로면 이전 진행 상태에서 이어감 (실패했던 청크는 다시 시도).
+  // "현재 설정으로 다시 번역"이면 진행 상태와 캐시를 버리고 원문부터 다시 시작
+  const discard = subtitleInstance.discardCache;
+  subtitleInstance.discardCache = false;
+  let resumed = subtitleInstance.translation;
+  if (resumed && (discard || !isSameTranslationMeta(resumed.cacheEntry.meta, meta))) resumed = null;
+  if (!resumed) {
+    subtitleInstance.translation = null;
+    textLines.forEach((line, index) => { line.text = sourceTexts[index]; });
+    subtitleInstance.lastRenderedIds = null;
+    gRendererLoop && gRendererLoop.setRenderDirty();
+  }
+
+  let cached = null;
+  let cacheEntry;
+  if (resumed) {
+    resumed.scheduler.requeueFailed();
+    cacheEntry = resumed.cacheEntry;
+  }
+  else {
+    // 캐시 확인: 완료된 번역은 그대로 적용, 중간까지 번역된 것은 나머지만 번역
+    if (movieId && !discard) cached = await getCachedTranslation(movieId, srcLang, targetLang, textLines, meta);
+    if (signal.aborted) return;
+    if (cached && cached.complete) {
+      console.log(`[AI 번역] 캐시 히트! (${cached.lineCount}줄, ${cached.meta.provider} ${cached.meta.model}) 저장된 번역 로드...`);
+      cached.translations.forEach((translated, index) => {
+        textLines[index].text = mergeTranslation(sourceTexts[index], translated);
       });
       subtitleInstance.lastRenderedIds = null;
       gRendererLoop && gRendererLoop.setRenderDirty();
       updateProgressUI(textLines.length, textLines.length, true);
       return;
     }
+    cacheEntry = cached || createCacheEntry(textLines.length, meta);
+    if (!cacheEntry.sources) cacheEntry.sources = new Array(textLines.length).fill(null); // 이전 형식
   }
+  const translatedTexts = resumed ? resumed.translatedTexts : [];
 
   subtitleInstance.isTranslating = true;
-  const CHUNK_SIZE = 50;
-  let failCount = 0;
+  const CONTEXT_LINES = 20; // 이전 청크에서 참고용으로 함께 보낼 줄 수
+  const titleInfo = window.__NflxMultiSubs.getTitleInfo(movieId) || {};
+  const glossaryTerms = await loadGlossaryTerms(titleInfo.seriesId || movieId, titleInfo.seriesTitle, sourceTexts);
+  if (glossaryTerms.length > 0) console.log(`[AI 번역] 용어집 ${glossaryTerms.length}개 적용`);
+  // 재생 위치의 청크부터 번역 (탐색하면 다음 청크 선택 때 반영됨)
+  const scheduler = resumed ? resumed.scheduler : new TranslationScheduler(textLines, kChunkSize);
+  subtitleInstance.translation = { scheduler, translatedTexts, cacheEntry };
+  const currentTime = () => (gRendererLoop ? gRendererLoop.videoElem.currentTime : 0);
+  // 병렬 요청 수 + 분당 요청/토큰 한도 (provider 기본값, 설정에서 변경 가능)
+  const provider = getProvider(gRenderOptions.aiProvider);
+  const limits = getRateLimits(gRenderOptions, provider);
+  const limiter = getRateLimiter(provider.id, limits);
   let lastError = null;
-  console.log(`[스트리밍 번역 시작] provider=${gRenderOptions.aiProvider || 'gemini'} srcLang=${srcLang} / 총 ${textLines.length}줄`);
+  let fatalError = null; // 재시도해도 소용없는 오류 (API 키 없음, 401 등) → 전체 중단
+  const memoryScope = translationMemoryScope(srcLang, targetLang, meta);
+  let recalledLines = 0;
+  console.log(`[스트리밍 번역 시작] provider=${provider.id} model=${meta.model} srcLang=${srcLang} targetLang=${targetLang} / 총 ${textLines.length}줄`, limits);
+
+  // 청크 앞 CONTEXT_LINES줄의 원문/번역문 + 작품 정보 + 용어집 (참고용, 번역 대상 아님)
+  const buildReference = start => {
+    const contextStart = Math.max(0, start - CONTEXT_LINES);
+    return {
+      title: titleInfo.title,
+      synopsis: titleInfo.synopsis,
+      previousLines: sourceTexts.slice(contextStart, start).map((source, k) => ({
+        source,
+        translated: translatedTexts[contextStart + k],
+      })),
+      glossary: glossaryTerms,
+    };
+  };
 
-  for (let i = 0; i < textLines.length; i += CHUNK_SIZE) {
-    const chunkEnd = Math.min(i + CHUNK_SIZE, textLines.length);
-    const chunk = textLines.slice(i, chunkEnd);
-    const originalTexts = chunk.map(l => l.text);
+  // 번역된 줄 하나를 화면에 반영 (원문 + 번역문, Dual Subtitle Logic)
+  const applyLine = (index, translated) => {
+    translatedTexts[index] = translated;
+    subtitleInstance.lines[index].text = mergeTranslation(sourceTexts[index], translated);
+    // lastRenderedIds 캐시 초기화 + dirty 플래그 설정 → 화면 즉시 업데이트
+    subtitleInstance.lastRenderedIds = null;
+    gRendererLoop && gRendererLoop.setRenderDirty();
+  };
 
-    try {
-      const translatedArray = await translateChunk(originalTexts, i, srcLang);
-
-      // 영문 + 한글 합치기 (Dual Subtitle Logic)
-      for (let j = 0; j < chunk.length; j++) {
-        if (translatedArray[j]) {
-          const original = originalTexts[j].replace(/\n/g, ' ');
-          const korean = translatedArray[j];
-          subtitleInstance.lines[i + j].text = `${original}\n${korean}`;
-        }
-      }
+  // 이미 번역된 줄 (번역 메모리, 번역 팩) — provider에 다시 요청하지 않음
+  const isLineTranslated = index => cacheEntry.translations[index] !== null;
 
-      // lastRenderedIds 캐시 초기화 + dirty 플래그 설정 → 화면 즉시 업데이트
-      subtitleInstance.lastRenderedIds = null;
-      gRendererLoop && gRendererLoop.setRenderDirty();
+  // 스트리밍으로 먼저 적용했던 줄을 원문으로 되돌림 (청크 실패 시)
+  const revertLines = (start, end) => {
+    for (let k = start; k < end; k++) {
+      if (isLineTranslated(k)) continue;
+      translatedTexts[k] = undefined;
+      subtitleInstance.lines[k].text = sourceTexts[k];
+    }
+    subtitleInstance.lastRenderedIds = null;
+    gRendererLoop && gRendererLoop.setRenderDirty();
+  };
 
-      updateProgressUI(chunkEnd, textLines.length);
-      console.log(`[진행률] ${chunkEnd} / ${textLines.length} 완료`);
-      await delay(800);
+  // 중간까지 저장된 캐시: 번역된 줄은 바로 적용하고, 모두 번역된 청크는 건너뜀
+  if (cached) {
+    cacheEntry.translations.forEach((translated, index) => {
+      if (translated !== null && translatedTexts[index] === undefined) applyLine(index, translated);
+    });
+    const restored = scheduler.markTranslated(isLineTranslated);
+    console.log(`[AI 번역] 중간 저장된 번역 ${restored}개 청크 복원, 나머지부터 이어서 번역`);
+  }
 
+  // 일시적 오류(429, 5xx, 타임아웃)는 backoff 후 재시도; 재시도마다 한도도 다시 차감.
+  // 줄 수가 맞지 않는 응답은 한 번 더 요청하고, 그래도 안 되면 반으로 나눠 번역
+  // (결과는 줄 id로 맞춰지므로 한 줄이라도 밀린 채 적용되지 않음).
+  // 스트리밍 응답은 줄이 도착하는 대로 바로 보여주고, 검증된 최종 결과로 덮어씀
+  const translateRange = async (start, end) => {
+    const originalTexts = sourceTexts.slice(start, end);
+    try {
+      return await withRetry(async () => {
+        await limiter.acquire(RateLimiter.estimateTokens(originalTexts));
+        signal.throwIfAborted();
+        return translateChunk(originalTexts, start, srcLang, targetLang, buildReference(start), applyLine, signal);
+      }, (error, attempt, delayMs) => {
+        const maxAttempts = error.mismatch ? kRetryPolicy.maxMismatchAttempts : kRetryPolicy.maxAttempts;
+        const message = `${error.message} — ${Math.ceil(delayMs / 1000)}초 후 재시도 (${attempt}/${maxAttempts - 1})`;
+        console.warn(`Chunk ${start} 번역 실패, 재시도:`, message);
+        updateProgressUI(scheduler.doneLineCount, textLines.length, false, message);
+      }, kRetryPolicy, signal);
     } catch (error) {
-      failCount++;
-      lastError = error;
-      console.error(`Chunk ${i} 번역 실패:`, error.message || error);
-      updateProgressUI(chunkEnd, textLines.length, false, error.message || String(error));
-      await delay(1000); // 실패도 다음 청크전 짧게 대기 (즐치 완료 막기)
+      if (!error.mismatch || end - start <= 1) throw error;
+      const mid = Math.floor((start + end) / 2);
+      console.warn(`Chunk ${start}-${end} 줄 수 불일치, ${start}-${mid} / ${mid}-${end}로 나눠 재요청:`, error.message);
+      const head = await translateRange(start, mid);
+      const tail = await translateRange(mid, end);
+      return head.concat(tail);
     }
-  }
+  };
+
+  // 번역 메모리에 있는 줄은 바로 적용 ("다시 번역"일 때는 사용하지 않음)
+  const recallLines = async (start, end) => {
+    if (discard) return;
+    const indexes = [];
+    for (let k = start; k < end; k++) {
+      if (!isLineTranslated(k)) indexes.push(k);
+    }
+    if (indexes.length === 0) return;
+    const remembered = await lookupTranslationMemory(memoryScope, indexes.map(k => sourceTexts[k]));
+    remembered.forEach((translated, n) => {
+      if (translated === null) return;
+      const index = indexes[n];
+      applyLine(index, translated);
+      cacheEntry.translations[index] = translated;
+      cacheEntry.sources[index] = 'memory';
+      recalledLines++;
+    });
+  };
+
+  // 청크에서 아직 번역되지 않은 연속된 줄 묶음만 요청
+  const translatePendingLines = async (start, end) => {
+    const translated = [];
+    let k = start;
+    while (k < end) {
+      if (isLineTranslated(k)) {
+        translated.push(cacheEntry.translations[k]);
+        k++;
+        continue;
+      }
+      let runEnd = k;
+      while (runEnd < end && !isLineTranslated(runEnd)) runEnd++;
+      translated.push(...await translateRange(k, runEnd));
+      k = runEnd;
+    }
+    return translated;
+  };
 
-  if (failCount === Math.ceil(textLines.length / CHUNK_SIZE)) {
-    subtitleInstance.isTranslating = false;
-    updateProgressUI(textLines.length, textLines.length, false, null, true, lastError?.message || '모든 쫑크 실패');
+  // 각 worker가 스케줄러에서 청크를 하나씩 가져가 번역, 도착하는 대로 해당 줄에 적용
+  const worker = async () => {
+    let scheduled;
+    while (!fatalError && !signal.aborted && (scheduled = scheduler.next(currentTime()))) {
+      const i = scheduled.start;
+      const chunkEnd = scheduled.end;
+
+      try {
+        await recallLines(i, chunkEnd);
+        signal.throwIfAborted();
+        const translatedArray = await translatePendingLines(i, chunkEnd);
+        const learned = [];
+        translatedArray.forEach((translated, j) => {
+          applyLine(i + j, translated);
+          if (isLineTranslated(i + j)) return;
+          cacheEntry.translations[i + j] = translated;
+          cacheEntry.sources[i + j] = 'ai';
+          learned.push({ source: sourceTexts[i + j], text: translated });
+        });
+        storeTranslationMemory(memoryScope, learned);
+
+        scheduler.markDone(scheduled);
+        // 청크마다 중간 저장 (탭을 닫아도 다음에 이어서 번역)
+        if (movieId) setCachedTranslation(movieId, srcLang, targetLang, cacheEntry, titleInfo.title);
+        const doneLines = scheduler.doneLineCount;
+        updateProgressUI(doneLines, textLines.length, false, null, false, targetName);
+        console.log(`[진행률] ${doneLines} / ${textLines.length} 완료 (청크 ${i}-${chunkEnd})`);
+
+      } catch (error) {
+        revertLines(i, chunkEnd);
+        if (isAbortError(error) || signal.aborted) {
+          scheduler.release(scheduled); // 이어서 번역할 때 다시 시도
+          break;
+        }
+        scheduler.markFailed(scheduled);
+        lastError = error;
+        if (!isTransientError(error)) fatalError = error;
+        console.error(`Chunk ${i} 번역 실패:`, error.message || error);
+        updateProgressUI(scheduler.doneLineCount, textLines.length, false, error.message || String(error));
+      }
+    }
+  };
+  const runWorkers = () => Promise.all(Array.from({ length: limits.concurrency }, worker));
+  await runWorkers();
+
+  // 실패한 청크는 마지막에 한 번 더 시도
+  const requeued = fatalError || signal.aborted ? 0 : scheduler.requeueFailed();
+  if (requeued > 0) {
+    console.log(`[AI 번역] 실패한 청크 ${requeued}개 재시도`);
+    await runWorkers();
+  }
+
+  subtitleInstance.isTranslating = false;
+  if (recalledLines > 0) console.log(`[AI 번역] 번역 메모리에서 ${recalledLines}줄 재사용`);
+  if (signal.aborted) {
+    console.log(`[AI 번역] 취소됨 (${scheduler.doneLineCount} / ${textLines.length}줄 완료, 다시 선택하면 이어서 번역)`);
+    const progressBox = document.getElementById('ai-progress-box');
+    if (progressBox) progressBox.remove();
+  } else if (fatalError || scheduler.failedChunkCount === scheduler.chunks.length) {
+    const error = fatalError || lastError;
+    updateProgressUI(scheduler.doneLineCount, textLines.length, false, error?.message || '모든 쫑크 실패', true);
+  } else if (scheduler.failedChunkCount > 0) {
+    // 번역된 청크만 중간 저장된 상태로 남음 (완료로 표시하지 않음 → 다음 재생 때 나머지만 번역)
+    const message = `${scheduler.failedChunkCount}개 청크 번역 실패 — 다음 재생 때 실패한 부분만 다시 번역합니다. ${lastError?.message || ''}`;
+    updateProgressUI(scheduler.doneLineCount, textLines.length, false, message);
+    console.warn(`[AI 번역] ${message}`);
   } else {
-    subtitleInstance.isTranslating = false;
-    // 캐시 저장
+    // 캐시를 완료로 표시
     if (movieId) {
-      setCachedTranslation(movieId, srcLang, textLines);
+      cacheEntry.complete = true;
+      setCachedTranslation(movieId, srcLang, targetLang, cacheEntry, titleInfo.title);
       console.log(`[AI 번역] 번역 결과 캐시 저장 (movieId=${movieId}, ${textLines.length}줄)`);
     }
     updateProgressUI(textLines.length, textLines.length, true);
@@ -801,11 +1096,70 @@ async function runStreamTranslation(subtitleInstance) {
 }
 
 class AiTranslatedSubtitle extends TextSubtitle {
-  constructor(lang, bcp47, urls, isCaption, srcLang = 'en') {
+  constructor(lang, bcp47, urls, isCaption, srcLang = 'en', targetLang = 'ko') {
     super(lang, bcp47, urls, isCaption);
     this.isAi = true;
     this.isTranslating = false;
     this.srcLang = srcLang; // 소스 언어 (진단 목적)
+    this.targetLang = targetLang; // 번역 대상 언어
+  }
+
+  // 이미 받은 자막을 다시 선택하면 취소됐던 번역을 이어서 진행
+  activate(options) {
+    if (this.state !== 'READY') return super.activate(options);
+    this.active = true;
+    if (this.translationCancelled) this.startTranslation();
+    return Promise.resolve(this);
+  }
+
+  // 자막 해제 (다른 자막 선택, 작품 변경) 시 진행 중인 번역 취소
+  deactivate() {
+    super.deactivate();
+    this.cancelTranslation();
+  }
+
+  // 번역 시작; 취소된 이전 실행이 정리된 뒤에 시작함.
+  // 다운로드 중에 해제된 자막은 다시 선택될 때 시작
+  startTranslation() {
+    if (!this.active) {
+      this.translationCancelled = true;
+      return;
+    }
+    const controller = new AbortController();
+    this.abortController = controller;
+    this.translationCancelled = false;
+    this.translationRun = Promise.resolve(this.translationRun)
+      .then(() => runStreamTranslation(this, controller.signal))
+      .catch(err => console.error('[AI 번역] 실패:', err))
+      .finally(() => {
+        if (this.abortController === controller) this.abortController = null;
+      });
+  }
+
+  // 캐시와 진행 상태를 버리고 현재 설정(provider, 모델, 프롬프트)으로 처음부터 다시 번역
+  retranslate() {
+    if (this.state !== 'READY' || !this.lines) return;
+    this.cancelTranslation();
+    this.discardCache = true;
+    this.startTranslation();
+  }
+
+  // 진행 중인 번역을 멈추고 `seed()`(캐시 기록) 후 캐시에서 다시 불러옴 (번역 팩 가져오기)
+  reloadTranslation(seed) {
+    this.cancelTranslation();
+    this.translationRun = Promise.resolve(this.translationRun).then(() => {
+      this.translation = null;
+      return seed();
+    });
+    this.startTranslation();
+  }
+
+  cancelTranslation() {
+    if (!this.abortController) return;
+    console.log(`[AI 번역] "${this.lang}" 번역 취소`);
+    this.abortController.abort();
+    this.abortController = null;
+    this.translationCancelled = true;
   }
 
   // 번역 중에는 캐시 무시하고 항상 재렌더
@@ -821,7 +1175,7 @@ class AiTranslatedSubtitle extends TextSubtitle {
       const hasValidTiming = this.lines && this.lines.some(l => l.begin > 0 || l.end > 0);
       if (this.lines && this.lines.length > 0 && hasValidTiming) {
         console.log(`[NflxMultiSubs] 자막 로드 완료 (${this.lines.length}줄). 번역 시작...`);
-        runStreamTranslation(this);
+        this.startTranslation();
         return Promise.resolve();
       }
       // 기본 파서 실패 또는 타이밍=0 — 정확한 시간 파서로 fallback
@@ -861,7 +1215,7 @@ class AiTranslatedSubtitle extends TextSubtitle {
         console.log(`[NflxMultiSubs] fallback 파서: ${lines.length}줄, 첫 줄 begin=${lines[0]?.begin} end=${lines[0]?.end}`);
         this.lines = lines;
         if (lines.length > 0) {
-          runStreamTranslation(this);
+          this.startTranslation();
         } else {
           console.warn('[NflxMultiSubs] fallback 파서도 0줄 — 이미지 자막이거나 다른 포맷일 수 있음');
         }
@@ -869,6 +1223,98 @@ class AiTranslatedSubtitle extends TextSubtitle {
     });
   }
 }
+
+function getActiveAiSubtitle() {
+  return gSubtitles.find(s => s.isAi && s.active && s.state === 'READY' && s.lines);
+}
+
+// 팝업의 "현재 설정으로 다시 번역": 선택된 AI 자막을 처음부터 다시 번역
+function retranslateActiveSubtitle() {
+  const sub = getActiveAiSubtitle();
+  if (!sub) {
+    console.log('[AI 번역] 선택된 AI 자막이 없어 다시 번역하지 않음');
+    return;
+  }
+  console.log(`[AI 번역] "${sub.lang}" 현재 설정으로 다시 번역`);
+  sub.retranslate();
+}
+
+// 선택된 AI 자막의 저장된 번역을 번역 팩(JSON 파일)으로 내려받기 (translation-pack.js)
+async function exportTranslationPack() {
+  const sub = getActiveAiSubtitle();
+  const movieId = getMovieId();
+  if (!sub || !movieId) {
+    showAiNotice('번역 팩 내보내기: 선택된 AI 자막이 없습니다', true);
+    return;
+  }
+  const targetLang = sub.targetLang || getAiTargetLanguage();
+  const entry = await readCachedTranslation(movieId, sub.srcLang, targetLang);
+  if (!entry || entry.lineCount !== sub.lines.length) {
+    showAiNotice('번역 팩 내보내기: 아직 저장된 번역이 없습니다', true);
+    return;
+  }
+
+  const titleInfo = window.__NflxMultiSubs.getTitleInfo(movieId) || {};
+  const pack = translationPack.createPack({
+    movieId,
+    title: titleInfo.title,
+    srcLang: sub.srcLang,
+    targetLang,
+    provider: entry.meta && entry.meta.provider,
+    model: entry.meta && entry.meta.model,
+  }, sub.lines, entry.translations);
+
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([JSON.stringify(pack)], { type: 'application/json' }));
+  link.download = translationPack.packFileName(pack);
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  showAiNotice(`번역 팩 내보내기 완료 (${pack.lineCount}줄${pack.complete ? '' : ', 일부만 번역됨'})`);
+}
+
+// 번역 팩을 지금 재생 중인 원문 자막과 대조(줄 수, 타이밍)한 뒤 캐시에 넣고 적용
+function importTranslationPack(pack) {
+  const sub = getActiveAiSubtitle();
+  const movieId = getMovieId();
+  if (!sub || !movieId) {
+    showAiNotice('번역 팩 가져오기: 먼저 AI 자막을 선택하세요', true);
+    return;
+  }
+  const targetLang = sub.targetLang || getAiTargetLanguage();
+  const invalid = translationPack.validatePack(pack, { movieId, srcLang: sub.srcLang, targetLang }, sub.lines);
+  if (invalid) {
+    console.warn('[AI 번역] 번역 팩 거부:', invalid, pack && pack.fingerprint);
+    showAiNotice(`번역 팩 가져오기 실패: ${invalid}`, true);
+    return;
+  }
+
+  const entry = createCacheEntry(pack.lineCount, {
+    provider: pack.provider,
+    model: pack.model,
+    targetLang,
+    promptHash: '',
+    imported: true,
+  });
+  entry.translations = translationPack.packTranslations(pack);
+  entry.sources = entry.translations.map(t => (t === null ? null : 'pack'));
+  entry.complete = entry.translations.every(t => t !== null);
+  console.log(`[AI 번역] 번역 팩 가져오기 (${pack.provider} ${pack.model}, ${pack.lineCount}줄)`);
+  sub.reloadTranslation(() => setCachedTranslation(movieId, sub.srcLang, targetLang, entry, pack.title));
+  showAiNotice(`번역 팩 가져오기 완료 (${pack.lineCount}줄${entry.complete ? '' : ', 나머지는 이어서 번역'})`);
+}
+
+// 팝업에서 service_worker를 거쳐 온 명령; 실행할 AI 자막이 있는지 service_worker에 응답
+function handlePlayerCommand(msg) {
+  const active = !!getActiveAiSubtitle();
+  if (msg.commandId) {
+    const commandResult = { commandId: msg.commandId, active };
+    if (BROWSER === 'firefox') postToContent({ action: 'player-command-result', commandResult });
+    else getMsgPort().postMessage({ commandResult });
+  }
+  if (msg.command === 'retranslate') retranslateActiveSubtitle();
+  else if (msg.command === 'export-pack') exportTranslationPack();
+  else if (msg.command === 'import-pack') importTranslationPack(msg.pack);
+}
 // ================= [스트리밍 로직 끝] =================
 
 // textTracks: manifest.textTracks
@@ -881,15 +1327,18 @@ const buildSubtitleList = textTracks => {
     .map(t => SubtitleFactory.build(t))
     .filter(t => t !== null);
 
-  // [추가된 로직] 번역 가능한 자막 트랙으로 AI 한국어 트랙 생성
-  // 우선순위: 영어 > 일본어 > 중국어 > 가장 첫번째 텍스트 트랙
-  const PREFERRED_LANGS = ['en', 'ja', 'jpn', 'zh', 'zh-Hans', 'zh-Hant', 'fr', 'es', 'de'];
+  // [추가된 로직] 번역 가능한 자막 트랙으로 AI 번역 트랙 생성 (대상 언어는 설정의 aiTargetLanguage)
+  // 우선순위: 영어 > 일본어 > 중국어 > 가장 첫번째 텍스트 트랙 (대상 언어 자체는 제외)
+  const targetLang = getAiTargetLanguage();
+  const isTargetLang = lang => lang === targetLang || (lang || '').split('-')[0] === targetLang.split('-')[0];
+  const PREFERRED_LANGS = ['en', 'ja', 'jpn', 'zh', 'zh-Hans', 'zh-Hant', 'fr', 'es', 'de']
+    .filter(l => !isTargetLang(l));
   try {
     // 실제 트랙 언어 목록 로깅 (디버깅용)
     const allLangs = textTracks.map(t => t.language);
     console.log('[NflxMultiSubs] available subtitle languages:', allLangs);
 
-    // 한국어 제외한 모든 텍스트 트랙 중 우선순위 언어 먼저, 없으면 첫 번째
+    // 대상 언어를 제외한 모든 텍스트 트랙 중 우선순위 언어 먼저, 없으면 첫 번째
     // dfxp-ls-sdh는 isImage 여부와 관계없이 항상 후보 (텍스트 콘텐트를 포함할 수 있음)
     const hasDownloadableFormat = t => {
       const FMTS = ['dfxp-ls-sdh', 'imsc1.1', 'simplesdh', 'nflx-cmisc'];
@@ -901,7 +1350,7 @@ const buildSubtitleList = textTracks => {
     const sourceTrack =
       PREFERRED_LANGS.map(l => textTracks.find(t => t.language === l && hasDownloadableFormat(t))).find(Boolean) ||
       textTracks.find(t =>
-        t.language !== 'ko' &&
+        !isTargetLang(t.language) &&
         !SubtitleFactory.isNoneTrack(t) &&
         hasDownloadableFormat(t)
       );
@@ -927,7 +1376,8 @@ const buildSubtitleList = textTracks => {
       console.log('[NflxMultiSubs] using format:', usedFormat, 'urls count:', urls.length);
       if (urls.length > 0) {
         const srcLang = sourceTrack.language || '?';
-        const aiSub = new AiTranslatedSubtitle(`AI 한국어 (${srcLang})`, 'ko-ai', urls, false, srcLang);
+        const targetName = getAiLanguage(targetLang).nativeName;
+        const aiSub = new AiTranslatedSubtitle(`AI ${targetName} (${srcLang})`, `${targetLang}-ai`, urls, false, srcLang, targetLang);
         subs.unshift(aiSub);
       } else {
         console.warn('[NflxMultiSubs] 사용 가능한 URL 없음:', JSON.stringify(
@@ -1063,7 +1513,13 @@ const observerOptions = {
   childList: true,
   characterData: true
 };
-bodyObserver.observe(document.body, observerOptions);
+// injected at document_start (see content.js), possibly before <body> exists
+if (document.body) {
+  bodyObserver.observe(document.body, observerOptions);
+}
+else {
+  document.addEventListener('DOMContentLoaded', () => bodyObserver.observe(document.body, observerOptions));
+}
 
 ////////////////////////////////////////////////////////////////////////////////
 
@@ -1075,21 +1531,25 @@ activateSubtitle = id => {
 
     gRenderOptions.secondaryLanguageLastUsed = sub.bcp47;
     gRenderOptions.secondaryLanguageLastUsedIsCaption = sub.isCaption;
+    // the background accepts only these from the page; the rest is set in the pop-up
+    const settings = {
+      secondaryLanguageLastUsed: sub.bcp47,
+      secondaryLanguageLastUsedIsCaption: sub.isCaption,
+    };
 
     if (BROWSER !== 'firefox') {
       try {
-        getMsgPort().postMessage({ settings: gRenderOptions });
+        getMsgPort().postMessage({ settings });
       } catch (err) {
         console.warn('Cannot dispatch settings,', err);
       }
     } else {
       // Firefox
       try {
-        window.postMessage({
-          namespace: 'nflxmultisubs',
+        postToContent({
           action: 'update-settings',
-          settings: gRenderOptions
-        }, '*');
+          settings
+        });
       } catch (err) {
         console.warn('Error: cannot talk to background,', err);
       }
@@ -1331,10 +1791,9 @@ class RendererLoop {
     } else {
       // Firefox
       try {
-        window.postMessage({
-          namespace: 'nflxmultisubs',
+        postToContent({
           action: 'startPlayback'
-        }, '*');
+        });
       } catch (err) {
         console.warn('Error: cannot talk to background,', err);
       }
@@ -1354,10 +1813,9 @@ class RendererLoop {
     } else {
       // Firefox
       try {
-        window.postMessage({
-          namespace: 'nflxmultisubs',
+        postToContent({
           action: 'stopPlayback'
-        }, '*');
+        });
       } catch (err) {
         console.warn('Error: cannot talk to background,', err);
       }
@@ -1606,6 +2064,7 @@ class NflxMultiSubsManager {
     this.playerVersion = undefined;
     this.busyWaitTimeout = 100000; // ms
     this.manifestManager = new ManifestManagerInMemory();
+    this.metadata = {}; // videoId -> title metadata (movie or show)
     console.log(`Version: ${this.version}`)
   }
 
@@ -1675,6 +2134,9 @@ class NflxMultiSubsManager {
           console.log(`Activating manifest ${manifest.movieId} (last=${this.lastMovieId})`);
           this.lastMovieId = manifest.movieId;
 
+          // the previous title's subtitles are dropped; stop their AI translation
+          gSubtitles.forEach(sub => sub.deactivate());
+
           // For cadmium-playercore-6.0012.183.041.js and later
           gSubtitles = buildSubtitleList(manifest.timedtexttracks);
 
@@ -1772,6 +2234,33 @@ class NflxMultiSubsManager {
     this.activateManifest(manifest.movieId);
   }
 
+  updateMetadata(video) {
+    console.log(`Intercepted metadata: ${video.id} (${video.type})`);
+    this.metadata[video.id] = video;
+  }
+
+  // @returns {{seriesId, seriesTitle, title, synopsis}|null} what we know about the movie or episode
+  getTitleInfo(movieId) {
+    if (!movieId) return null;
+    for (const video of Object.values(this.metadata)) {
+      if (video.id == movieId) {
+        return { seriesId: video.id, seriesTitle: video.title, title: video.title, synopsis: video.synopsis };
+      }
+      for (const season of (video.seasons || [])) {
+        const episode = (season.episodes || []).find(e => (e.id || e.episodeId) == movieId);
+        if (episode) {
+          return {
+            seriesId: video.id,
+            seriesTitle: video.title,
+            title: [video.title, season.title, episode.title].filter(Boolean).join(' - '),
+            synopsis: episode.synopsis || video.synopsis,
+          };
+        }
+      }
+    }
+    return null;
+  }
+
   rendererLoopDestroy() {
     const movieIdInUrl = extractMovieIdFromUrl();
     if (!movieIdInUrl) return;
@@ -0,0 +1,154 @@
+const { kGlossaryKeyPrefix } = require('./glossary');
+
+// =============================================================================
+// Options page: edit the per-show AI translation glossaries (see glossary.js)
+// =============================================================================
+
+function loadGlossaries() {
+  return new Promise(resolve => {
+    chrome.storage.local.get(null, items => {
+      const glossaries = Object.keys(items)
+        .filter(key => key.indexOf(kGlossaryKeyPrefix) === 0)
+        .map(key => ({ key, glossary: items[key] }))
+        .sort((a, b) => (b.glossary.updatedAt || 0) - (a.glossary.updatedAt || 0));
+      resolve(glossaries);
+    });
+  });
+}
+
+function saveGlossary(key, glossary) {
+  glossary.updatedAt = Date.now();
+  chrome.storage.local.set({ [key]: glossary }, () => {
+    console.log('Glossary: saved', key, glossary);
+  });
+}
+
+function deleteGlossary(key) {
+  chrome.storage.local.remove(key, () => {
+    console.log('Glossary: deleted', key);
+  });
+}
+
+// -----------------------------------------------------------------------------
+
+function buildTermRow(term, onRemove) {
+  const row = document.createElement('tr');
+  ['source', 'target'].forEach(field => {
+    const cell = document.createElement('td');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = term[field] || '';
+    input.placeholder = field === 'source' ? 'Term in subtitles' : 'Translation';
+    input.addEventListener('input', () => { term[field] = input.value.trim(); });
+    cell.appendChild(input);
+    row.appendChild(cell);
+  });
+
+  const cell = document.createElement('td');
+  const btn = document.createElement('button');
+  btn.classList.add('secondary');
+  btn.textContent = '✕';
+  btn.addEventListener('click', onRemove);
+  cell.appendChild(btn);
+  row.appendChild(cell);
+  return row;
+}
+
+function buildGlossarySection(key, glossary) {
+  const section = document.createElement('div');
+  section.classList.add('glossary');
+
+  const render = () => {
+    section.innerHTML = '';
+
+    const title = document.createElement('h2');
+    title.textContent = glossary.title || glossary.seriesId;
+    const id = document.createElement('small');
+    id.textContent = `#${glossary.seriesId}`;
+    title.appendChild(id);
+    section.appendChild(title);
+
+    const table = document.createElement('table');
+    glossary.terms.forEach((term, index) => {
+      table.appendChild(buildTermRow(term, () => {
+        glossary.terms.splice(index, 1);
+        render();
+      }));
+    });
+    section.appendChild(table);
+
+    if (glossary.candidates.length > 0) {
+      const hint = document.createElement('p');
+      hint.classList.add('hint');
+      hint.textContent = 'Candidates:';
+      section.appendChild(hint);
+      glossary.candidates.forEach((candidate, index) => {
+        const chip = document.createElement('span');
+        chip.classList.add('candidate');
+        chip.textContent = `+ ${candidate}`;
+        chip.addEventListener('click', () => {
+          glossary.candidates.splice(index, 1);
+          glossary.terms.push({ source: candidate, target: '' });
+          render();
+        });
+        section.appendChild(chip);
+      });
+    }
+
+    const actions = document.createElement('div');
+    actions.classList.add('actions');
+    const addBtn = document.createElement('button');
+    addBtn.classList.add('secondary');
+    addBtn.textContent = 'Add term';
+    addBtn.addEventListener('click', () => {
+      glossary.terms.push({ source: '', target: '' });
+      render();
+    });
+    const saveBtn = document.createElement('button');
+    saveBtn.textContent = 'Save';
+    saveBtn.addEventListener('click', () => {
+      glossary.terms = glossary.terms.filter(t => t.source);
+      saveGlossary(key, glossary);
+      render();
+    });
+    const clearBtn = document.createElement('button');
+    clearBtn.classList.add('secondary');
+    clearBtn.textContent = 'Clear candidates';
+    clearBtn.addEventListener('click', () => {
+      glossary.candidates = [];
+      saveGlossary(key, glossary);
+      render();
+    });
+    const deleteBtn = document.createElement('button');
+    deleteBtn.classList.add('secondary');
+    deleteBtn.textContent = 'Delete glossary';
+    deleteBtn.addEventListener('click', () => {
+      if (!window.confirm(`Delete the glossary of "${glossary.title || glossary.seriesId}"?`)) return;
+      deleteGlossary(key);
+      section.remove();
+    });
+    [addBtn, saveBtn, clearBtn, deleteBtn].forEach(btn => actions.appendChild(btn));
+    section.appendChild(actions);
+  };
+
+  render();
+  return section;
+}
+
+async function renderGlossaries() {
+  const list = document.getElementById('glossary-list');
+  const glossaries = await loadGlossaries();
+  list.innerHTML = '';
+  document.getElementById('glossary-empty').style.display = glossaries.length ? 'none' : '';
+  glossaries.forEach(({ key, glossary }) => {
+    glossary.terms = glossary.terms || [];
+    glossary.candidates = glossary.candidates || [];
+    list.appendChild(buildGlossarySection(key, glossary));
+  });
+}
+
+
+window.addEventListener('load', evt => {
+  renderGlossaries();
+  console.log('Options page loaded');
+});
@@ -0,0 +1,111 @@
+const { kGlossaryKeyPrefix } = require('./glossary');
+const { isCacheKey } = require('./translation-cache');
+
+// =============================================================================
+// Message protocol between the injected agent (page) and content.js
+// =============================================================================
+// window.postMessage() can be read and faked by every script on netflix.com,
+// so it is only used once, to open a private channel:
+//  1. content.js puts a per-session secret on the inline <script> element
+//     injecting the agent (kSessionAttribute) at document_start; the agent runs
+//     right away and removes it, before any page script (see content.js)
+//  2. the agent creates a MessageChannel and posts one end with
+//        { namespace, action: 'handshake', version, session }
+//  3. content.js takes the first handshake with the right secret and version,
+//     then only listens on that port; later handshakes are ignored
+// Requests from the agent over the channel are checked against kPageActions:
+// unknown actions and malformed payloads are refused, storage keys are
+// limited to glossaries and cached translations (not the cache index), and
+// only the declared fields are passed on.
+
+const kNamespace = 'nflxmultisubs';
+const kProtocolVersion = 1;
+const kSessionAttribute = 'data-nflxmultisubs-session';
+
+function createSessionSecret() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// -----------------------------------------------------------------------------
+// payload checks
+
+const isString = value => typeof value === 'string';
+const isNumber = value => typeof value === 'number' && isFinite(value);
+const isBoolean = value => typeof value === 'boolean';
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+const isStringArray = value => Array.isArray(value) && value.every(isString);
+const optional = check => value => value === undefined || check(value);
+const keyWithPrefix = prefix => value => isString(value) && value.length > prefix.length && value.startsWith(prefix);
+
+// translation memory scope, see translation-memory.js
+const isMemoryScope = value => isObject(value) && isString(value.srcLang) && isString(value.targetLang) &&
+  isString(value.provider) && isString(value.model);
+const isMemoryPairs = value => Array.isArray(value) &&
+  value.every(pair => isObject(pair) && isString(pair.source) && isString(pair.text));
+
+// action => { field: check } of every request the agent may send
+const kPageActions = {
+  // Firefox: relayed to the background connection
+  'connect': {},
+  'disconnect': {},
+  'update-settings': { settings: isObject },
+  'startPlayback': {},
+  'stopPlayback': {},
+  'player-command-result': {
+    commandResult: value => isObject(value) && isString(value.commandId) && isBoolean(value.active),
+  },
+
+  // glossary (see glossary.js)
+  'cache_read': { reqId: isString, key: keyWithPrefix(kGlossaryKeyPrefix) },
+  'cache_write': { key: keyWithPrefix(kGlossaryKeyPrefix), value: isObject },
+
+  // forwarded to the background
+  'ai_translate': {
+    reqId: isString,
+    texts: isStringArray,
+    srcLang: isString,
+    targetLang: isString,
+    chunkIndex: isNumber,
+    reference: isObject,
+    stream: isBoolean,
+  },
+  'translation_cache_read': { reqId: isString, key: isCacheKey },
+  'translation_cache_write': {
+    reqId: isString,
+    key: isCacheKey,
+    value: isObject,
+    title: optional(isString),
+  },
+  'translation_memory_lookup': { reqId: isString, scope: isMemoryScope, texts: isStringArray },
+  'translation_memory_store': { reqId: isString, scope: isMemoryScope, pairs: isMemoryPairs },
+  'relay_abort': { reqId: isString },
+};
+
+// @returns {string|null} why the request is refused, or null if it is valid
+function validatePageMessage(message) {
+  if (!isObject(message)) return 'Not a message';
+  if (message.version !== kProtocolVersion) return `Unsupported protocol version ${message.version}`;
+  const fields = kPageActions[message.action];
+  if (!fields) return `Unknown action ${message.action}`;
+  const invalid = Object.keys(fields).find(field => !fields[field](message[field]));
+  return invalid ? `Invalid ${invalid} for ${message.action}` : null;
+}
+
+// the declared fields of a valid request, nothing else
+function pagePayload(message) {
+  const payload = { action: message.action };
+  Object.keys(kPageActions[message.action]).forEach(field => {
+    if (message[field] !== undefined) payload[field] = message[field];
+  });
+  return payload;
+}
+
+module.exports = {
+  kNamespace,
+  kProtocolVersion,
+  kSessionAttribute,
+  createSessionSecret,
+  validatePageMessage,
+  pagePayload,
+};
@@ -0,0 +1,47 @@
+// Sliding one-minute budget of requests and (estimated) tokens.
+// A limit of 0 means "no limit". Callers await acquire() before each request;
+// since the check and the booking happen synchronously, concurrent callers
+// cannot overbook the budget.
+class RateLimiter {
+  constructor(limits) {
+    this.history = []; // [{ time, tokens }] of the last minute
+    this.configure(limits);
+  }
+
+
+  configure({ requestsPerMinute = 0, tokensPerMinute = 0 } = {}) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.tokensPerMinute = tokensPerMinute;
+  }
+
+
+  async acquire(tokens = 0) {
+    for (;;) {
+      const now = Date.now();
+      this.history = this.history.filter(h => now - h.time < 60000);
+
+      const usedTokens = this.history.reduce((sum, h) => sum + h.tokens, 0);
+      const requestsOk = !this.requestsPerMinute || this.history.length < this.requestsPerMinute;
+      // a single request larger than the whole budget still goes through on an idle minute
+      const tokensOk = !this.tokensPerMinute || this.history.length === 0 ||
+        usedTokens + tokens <= this.tokensPerMinute;
+      if (requestsOk && tokensOk) {
+        this.history.push({ time: now, tokens });
+        return;
+      }
+
+      const wait = this.history[0].time + 60000 - now;
+      await new Promise(resolve => setTimeout(resolve, Math.max(wait, 50)));
+    }
+  }
+
+
+  // rough token count of a chunk: ~4 characters per token for the input,
+  // the same again for the output, plus the prompt around it
+  static estimateTokens(texts) {
+    const chars = texts.reduce((sum, t) => sum + (t || '').length, 0);
+    return Math.ceil(chars / 4) * 2 + 300;
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,106 @@
+// =============================================================================
+// Retry policy for translation requests
+// =============================================================================
+
+// Error raised by providers and the background relay.
+//    status: HTTP status if the request reached the server
+//    retryAfter: seconds from a Retry-After header, if any
+//    timeout: the request did not answer in time
+//    permanent: retrying cannot help (missing key, not logged in, ...)
+//    mismatch: the response cannot be matched to the input lines
+class TranslationError extends Error {
+  constructor(message, { status, retryAfter, timeout, permanent, mismatch } = {}) {
+    super(message);
+    this.name = 'TranslationError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.timeout = !!timeout;
+    this.permanent = !!permanent;
+    this.mismatch = !!mismatch;
+  }
+}
+
+const kRetryPolicy = {
+  maxAttempts: 4, // including the first one
+  maxMismatchAttempts: 2, // a chunk the model keeps garbling is bisected instead
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+};
+
+// Retry-After is either delta-seconds or an HTTP date
+// @returns {number|undefined} seconds
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(value);
+  if (!isNaN(date)) return Math.max(0, (date - Date.now()) / 1000);
+  return undefined;
+}
+
+// setTimeout() as a promise that rejects as soon as `signal` is aborted
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal && signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+    signal && signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function isAbortError(err) {
+  return !!err && err.name === 'AbortError';
+}
+
+// 429, 408, 5xx, timeouts and network failures are worth another try;
+// other 4xx (bad key, unknown model, malformed request) and cancellation are not
+function isTransientError(err) {
+  if (!err || err.permanent || isAbortError(err)) return false;
+  if (err.timeout) return true;
+  const status = err.status;
+  if (!status) return true; // network failure, unparsable response, line-count mismatch
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// exponential backoff with some jitter; the server's Retry-After wins when given
+function retryDelayMs(err, attempt, policy = kRetryPolicy) {
+  if (err && err.retryAfter !== undefined) {
+    return Math.min(err.retryAfter * 1000, policy.maxDelayMs * 4);
+  }
+  const backoff = policy.baseDelayMs * Math.pow(2, attempt - 1);
+  const jitter = Math.random() * 0.2 * backoff;
+  return Math.min(backoff + jitter, policy.maxDelayMs);
+}
+
+// Run `fn` until it succeeds, fails permanently, runs out of attempts or
+// `signal` is aborted. onRetry(err, attempt, delayMs) is called before each wait.
+async function withRetry(fn, onRetry, policy = kRetryPolicy, signal = undefined) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      const maxAttempts = err && err.mismatch ? policy.maxMismatchAttempts : policy.maxAttempts;
+      if (attempt >= maxAttempts || !isTransientError(err)) throw err;
+      const delayMs = retryDelayMs(err, attempt, policy);
+      onRetry && onRetry(err, attempt, delayMs);
+      await sleep(delayMs, signal);
+    }
+  }
+}
+
+module.exports = {
+  TranslationError,
+  kRetryPolicy,
+  parseRetryAfter,
+  sleep,
+  isAbortError,
+  isTransientError,
+  retryDelayMs,
+  withRetry,
+};
@@ -1,11 +1,28 @@
-const kDefaultSettings = require('./default-settings');
+const { getProvider, secretSettingKeys } = require('./ai-providers');
+const { TranslationError } = require('./retry-policy');
+const { normalizeSettings, migrateSettings } = require('./settings-schema');
+const { createSnapshot, profileName } = require('./settings-profiles');
+const { isCacheKey, TranslationCache } = require('./translation-cache');
+const { TranslationMemory } = require('./translation-memory');
+const { TranslationService } = require('./translation-service');
+
+const gTranslationCache = new TranslationCache();
+const gTranslationMemory = new TranslationMemory();
+const gTranslationService = new TranslationService({
+  // stored with the settings, for the next time the worker wakes up
+  onCopilotToken: async (token, expiresAt) => {
+    const settings = await loadSettings();
+    settings.githubCopilotToken = token;
+    settings.githubCopilotTokenExpiry = expiresAt;
+    saveSettings(settings);
+  },
+});
 
 // =============================================================================
 // GitHub Copilot OAuth Device Flow
 // =============================================================================
 // GitHub OAuth App credentials (public – device flow requires no secret)
 const GITHUB_CLIENT_ID = 'Iv1.b507a08c87ecfe98'; // GitHub Copilot editor integration client id
-const COPILOT_TOKEN_URL = 'https://api.github.com/copilot_internal/v2/token';
 
 // Start device flow: returns { device_code, user_code, verification_uri, interval, expires_in }
 async function githubStartDeviceFlow() {
@@ -40,91 +57,83 @@ async function githubPollDeviceToken(deviceCode, interval) {
   throw new Error('Device flow timed out');
 }
 
-// Exchange GitHub OAuth token for a short-lived Copilot API token
-async function fetchCopilotToken(oauthToken) {
-  const resp = await fetch(COPILOT_TOKEN_URL, {
-    headers: {
-      'Authorization': `token ${oauthToken}`,
-      'Editor-Version': 'vscode/1.85.0',
-      'Editor-Plugin-Version': 'copilot-chat/0.12.0',
-      'User-Agent': 'GithubCopilot/1.155.0',
-    },
-  });
-  const body = await resp.text();
-  if (!resp.ok) throw new Error(`Copilot 토큰 발급 실패 (${resp.status}): ${body}`);
-  const data = JSON.parse(body);
-  if (!data.token) throw new Error(`Copilot 토큰 없음. 응답: ${body}`);
-  return { token: data.token, expiresAt: data.expires_at };
+// response of a failed translation request
+function translateErrorResponse(e) {
+  return {
+    ok: false,
+    error: e.message,
+    status: e.status,
+    retryAfter: e.retryAfter,
+    timeout: e.timeout,
+    permanent: e.permanent,
+    mismatch: e.mismatch, // the page bisects the chunk
+  };
 }
 
-// Get a valid Copilot token, refreshing if needed
-async function getValidCopilotToken(settings) {
-  const now = Math.floor(Date.now() / 1000);
-  if (settings.githubCopilotToken && settings.githubCopilotTokenExpiry > now + 60) {
-    return settings.githubCopilotToken;
-  }
-  if (!settings.githubOAuthToken) throw new Error('GitHub 로그인이 필요합니다 (플러그인 설정 확인)');
-  const { token, expiresAt } = await fetchCopilotToken(settings.githubOAuthToken);
-  settings.githubCopilotToken = token;
-  settings.githubCopilotTokenExpiry = expiresAt;
-  saveSettings(settings);
-  dispatchSettings(settings);
-  return token;
+// storage budget of cached translations and the translation memory together
+function cacheBudgetBytes(settings) {
+  return (parseFloat(settings.aiCacheBudgetMB) || 0) * 1024 * 1024;
 }
 
-// Proxy a Copilot Chat Completions request from the content script
-async function handleCopilotTranslate(settings, messages) {
-  const copilotToken = await getValidCopilotToken(settings);
-  const model = settings.aiModel || 'gpt-4o-mini';
-  const resp = await fetch('https://api.githubcopilot.com/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${copilotToken}`,
-      'Content-Type': 'application/json',
-      'Copilot-Integration-Id': 'vscode-chat',
-      'Editor-Version': 'vscode/1.85.0',
-      'Editor-Plugin-Version': 'copilot-chat/0.12.0',
-      'User-Agent': 'GithubCopilot/1.155.0',
-    },
-    body: JSON.stringify({ model, messages, temperature: 0.2 }),
-  });
-  const body = await resp.text();
-  if (!resp.ok) throw new Error(`Copilot API 오류 (${resp.status}) model=${model}: ${body}`);
-  return JSON.parse(body);
+// The only settings the page (injected agent) writes: the subtitle picked in the
+// player. Any script on netflix.com can connect as the agent, so everything else
+// (provider, model, custom endpoint, ...) is only changed from the pop-up.
+const kPageWritableSettings = ['secondaryLanguageLastUsed', 'secondaryLanguageLastUsedIsCaption'];
+
+function pageSettings(settings) {
+  const result = {};
+  if (!settings || typeof settings !== 'object') return result;
+  kPageWritableSettings.filter(key => key in settings).forEach(key => { result[key] = settings[key]; });
+  return result;
+}
+
+// settings as sent to the page (injected agent): without credentials
+function publicSettings(settings) {
+  const result = Object.assign({}, settings);
+  secretSettingKeys().forEach(key => { delete result[key]; });
+  return result;
 }
 
-// return true if valid; otherwise return false
-function validateSettings(settings) {
-  const keys = Object.keys(kDefaultSettings);
-  return keys.every(key => (key in settings));
+function defaultSettings() {
+  return normalizeSettings({});
 }
 
+// stored settings, migrated to the current version (see settings-schema.js)
 const loadSettings = async () => {
   return new Promise((resolve, reject) => {
     chrome.storage.local.get(['settings'], function (result) {
       console.log('Loaded: settings=', result.settings);
-      if (result.settings && validateSettings(result.settings)) {
-        resolve(result.settings)
+      if (result.settings) {
+        const { settings, changed } = migrateSettings(result.settings);
+        if (changed) saveSettings(settings);
+        resolve(settings);
       }
       else {
-        saveSettings(kDefaultSettings);
-        resolve(kDefaultSettings);
+        const settings = defaultSettings();
+        saveSettings(settings);
+        resolve(settings);
       }
     });
   });
 };
 
 function saveSettings(settings) {
-  // hack to update opacity for existing users
-  settings.primaryImageOpacity = 1
-  settings.primaryTextOpacity = 1
-  settings.secondaryImageOpacity = 1
-  settings.secondaryTextOpacity = 1
   chrome.storage.local.set({ settings: settings }, () => {
     console.log('Settings: saved into local storage', settings);
   });
 }
 
+// named profiles: { [name]: snapshot } (see settings-profiles.js)
+function loadProfiles() {
+  return new Promise(resolve => {
+    chrome.storage.local.get(['settings_profiles'], result => resolve(result.settings_profiles || {}));
+  });
+}
+
+function saveProfiles(profiles) {
+  return new Promise(resolve => chrome.storage.local.set({ settings_profiles: profiles }, resolve));
+}
+
 // TODO: revisit this logic. 
 // The port is ephemeral in manifest v3, so keeping a map of ports is probably not useful.
 let gExtPorts = {}; // tabId -> msgPort; for config dispatching
@@ -133,7 +142,7 @@ function dispatchSettings(settings) {
     const keys = Object.keys(gExtPorts);
     keys.map(k => gExtPorts[k]).forEach(port => {
       try {
-        port.postMessage({ settings: settings });
+        port.postMessage({ settings: publicSettings(settings) });
       }
       catch (err) {
         console.error('Error: cannot dispatch settings,', err);
@@ -142,6 +151,54 @@ function dispatchSettings(settings) {
   } catch (err) { }
 }
 
+// commands sent to the players, waiting for their { commandResult } replies:
+//    commandId => { waiting, active, resolve }
+const gPendingCommands = {};
+const kPlayerCommandTimeoutMs = 2000;
+let gCommandSeq = 0;
+
+// send a command from the pop-up to every connected player:
+//    { command: 'retranslate' | 'export-pack' | 'import-pack', pack }
+// Every player answers whether it has an AI subtitle to run the command on.
+// @returns {Promise<number>} number of players that have one
+function dispatchPlayerCommand(message) {
+  const commandId = `${Date.now()}_${gCommandSeq++}`;
+  return new Promise(resolve => {
+    const pending = { waiting: 0, active: 0, resolve };
+    Object.keys(gExtPorts).map(k => gExtPorts[k]).forEach(port => {
+      try {
+        port.postMessage(Object.assign({ commandId }, message));
+        pending.waiting++;
+      }
+      catch (err) {
+        console.error(`Error: cannot dispatch ${message.command},`, err);
+      }
+    });
+    if (pending.waiting === 0) {
+      resolve(0);
+      return;
+    }
+    gPendingCommands[commandId] = pending;
+    // players that do not answer (e.g. a frozen tab) count as not having one
+    setTimeout(() => finishPlayerCommand(commandId), kPlayerCommandTimeoutMs);
+  });
+}
+
+// { commandId, active } reply of a player
+function handlePlayerCommandResult(result) {
+  const pending = gPendingCommands[result.commandId];
+  if (!pending) return;
+  if (result.active) pending.active++;
+  if (--pending.waiting === 0) finishPlayerCommand(result.commandId);
+}
+
+function finishPlayerCommand(commandId) {
+  const pending = gPendingCommands[commandId];
+  if (!pending) return;
+  delete gPendingCommands[commandId];
+  pending.resolve(pending.active);
+}
+
 function saturateActionIconForTab(tabId) {
   try {
     // v2
@@ -192,23 +249,21 @@ async function handleExternalConnection(port) {
   gExtPorts[tabId] = port;
   console.log(`Connected: ${tabId} (tab)`);
 
-  var gSettings = await loadSettings();
-  port.postMessage({ settings: gSettings });
+  port.postMessage({ settings: publicSettings(await loadSettings()) });
 
-  port.onMessage.addListener(msg => {
+  port.onMessage.addListener(async msg => {
     if (msg.settings) {
       console.log('Received from injected agent: settings=', msg.settings);
-      let settings = Object.assign({}, gSettings);
-      settings = Object.assign(settings, msg.settings);
-      if (!validateSettings(settings)) {
-        gSettings = Object.assign({}, kDefaultSettings);
-        port.postMessage({ settings: gSettings });
-      }
-      else {
-        gSettings = settings;
-      }
-      saveSettings(gSettings);
-      dispatchSettings(gSettings);
+      // merged into the stored settings, which the pop-up may have changed since the tab connected
+      let settings = await loadSettings();
+      settings = Object.assign(settings, pageSettings(msg.settings));
+      // invalid fields fall back to their default, the others are kept
+      settings = normalizeSettings(settings);
+      saveSettings(settings);
+      dispatchSettings(settings);
+    }
+    else if (msg.commandResult) {
+      handlePlayerCommandResult(msg.commandResult);
     }
     else if (msg.startPlayback) {
       console.log('Saturate icon')
@@ -244,42 +299,80 @@ async function handleInternalConnection(port) {
   console.log('Dispatching settings to pop-up', gSettings);
   port.postMessage({ settings: gSettings });
 
-  port.onMessage.addListener(msg => {
+  port.onMessage.addListener(async msg => {
     // this logic is a mess, a leftover from when gSettings was a global variable
     // TODO: could use a refactor
+    if (msg.reload) {
+      // changed by a message-based action (GitHub login, logout)
+      gSettings = await loadSettings();
+      port.postMessage({ settings: gSettings });
+      return;
+    }
     if (!msg.settings) {
-      gSettings = Object.assign({}, kDefaultSettings);
+      gSettings = defaultSettings();
       port.postMessage({ settings: gSettings });
     }
     else {
       console.log('Received: settings=', msg.settings);
       let settings = Object.assign({}, gSettings);
       settings = Object.assign(settings, msg.settings);
-      if (!validateSettings(settings)) {
-        gSettings = Object.assign({}, kDefaultSettings);
-        port.postMessage({ settings: gSettings });
-      }
-      else {
-        gSettings = settings;
-      }
+      // invalid fields fall back to their default, the others are kept
+      gSettings = normalizeSettings(settings);
     }
     saveSettings(gSettings);
     dispatchSettings(gSettings);
   });
 }
 
+// translation requests from the page (content.js relay): one request per port,
+// answered with { delta } messages when streamed, then the final { ok, data } / error
+// response. The content script closes the port to cancel the request
+function handleStreamConnection(port) {
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
+  // the request may be cancelled at any time, even just before the result: a
+  // closed port is not posted to
+  const post = message => {
+    if (controller.signal.aborted) return;
+    try {
+      port.postMessage(message);
+    } catch (err) {
+      controller.abort();
+    }
+  };
+
+  port.onMessage.addListener(async msg => {
+    const settings = await loadSettings();
+    const onDelta = msg.stream ? delta => post({ delta }) : null;
+    try {
+      if (msg.action !== 'ai_translate') throw new TranslationError('Unknown action', { permanent: true });
+      const result = await gTranslationService.translate(settings, msg, onDelta, controller.signal);
+      post({ ok: true, data: result });
+    } catch (e) {
+      if (controller.signal.aborted) return;
+      console.error('[Translate error]', e.message);
+      post(translateErrorResponse(e));
+    }
+  });
+}
+
 // handle connections from target website and our pop-up
 if (BROWSER !== 'firefox') {
   chrome.runtime.onConnectExternal.addListener(
     port => handleExternalConnection(port));
 
-  chrome.runtime.onConnect.addListener(
-    port => handleInternalConnection(port));
+  chrome.runtime.onConnect.addListener(port => {
+    if (port.name === 'translate_stream') handleStreamConnection(port);
+    else handleInternalConnection(port);
+  });
 }
 else {
   // Firefox: either from website (injected agent) or pop-up are all "internal"
   chrome.runtime.onConnect.addListener(port => {
-    if (port.sender && port.sender.tab) {
+    if (port.name === 'translate_stream') {
+      handleStreamConnection(port);
+    }
+    else if (port.sender && port.sender.tab) {
       handleExternalConnection(port);
     }
     else {
@@ -289,7 +382,7 @@ else {
 }
 
 // =============================================================================
-// Message-based API (for settings popup, used for device flow + copilot proxy)
+// Message-based API (for settings popup: device flow, profiles, cache; for the page: cache, memory)
 // =============================================================================
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   (async () => {
@@ -314,8 +407,8 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         gSettings.githubOAuthToken = oauthToken;
         gSettings.githubCopilotToken = '';
         gSettings.githubCopilotTokenExpiry = 0;
-        gSettings.aiProvider = 'copilot';
-        gSettings.aiModel = 'gpt-5-mini';
+        gTranslationService.copilotTokens.reset();
+        Object.assign(gSettings, { aiProvider: 'copilot' }, getProvider('copilot').defaults);
         saveSettings(gSettings);
         dispatchSettings(gSettings);
         sendResponse({ ok: true });
@@ -330,24 +423,123 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       gSettings.githubOAuthToken = '';
       gSettings.githubCopilotToken = '';
       gSettings.githubCopilotTokenExpiry = 0;
+      gTranslationService.copilotTokens.reset();
       saveSettings(gSettings);
       dispatchSettings(gSettings);
       sendResponse({ ok: true });
       return;
     }
 
-    // --- Copilot translation proxy (called from content.js relay) ---
-    if (msg.action === 'copilot_translate') {
+    // --- Named settings profiles (pop-up); switching goes through the 'settings' port ---
+    if (msg.action === 'settings_profile_list') {
+      const profiles = await loadProfiles();
+      const data = Object.keys(profiles).sort().map(name => profiles[name]);
+      sendResponse({ ok: true, data });
+      return;
+    }
+    if (msg.action === 'settings_profile_save') {
+      const name = profileName(msg.name);
+      if (!name) {
+        sendResponse({ ok: false, error: 'Invalid profile name' });
+        return;
+      }
+      const profiles = await loadProfiles();
+      profiles[name] = createSnapshot(gSettings, { name });
+      await saveProfiles(profiles);
+      sendResponse({ ok: true });
+      return;
+    }
+    if (msg.action === 'settings_profile_delete') {
+      const profiles = await loadProfiles();
+      delete profiles[msg.name];
+      await saveProfiles(profiles);
+      sendResponse({ ok: true });
+      return;
+    }
+
+    // --- Translation cache (page via content.js relay, list/delete/clear from the pop-up) ---
+    if (msg.action === 'translation_cache_read' || msg.action === 'translation_cache_write') {
+      if (!isCacheKey(msg.key)) {
+        sendResponse({ ok: false, error: 'Invalid cache key' });
+        return;
+      }
+      try {
+        if (msg.action === 'translation_cache_read') {
+          sendResponse({ ok: true, data: await gTranslationCache.read(msg.key) });
+        }
+        else {
+          // the translation memory takes its share of the budget first (see translation-memory.js)
+          const budgetBytes = cacheBudgetBytes(gSettings) - await gTranslationMemory.bytes();
+          await gTranslationCache.write(msg.key, msg.value, { title: msg.title }, Math.max(1, budgetBytes));
+          sendResponse({ ok: true });
+        }
+      } catch (e) {
+        console.error('[Translation cache error]', e.message);
+        sendResponse({ ok: false, error: e.message });
+      }
+      return;
+    }
+    if (msg.action === 'ai_cache_list') {
+      const data = await gTranslationCache.list();
+      data.memoryLines = await gTranslationMemory.size();
+      data.memoryBytes = await gTranslationMemory.bytes();
+      sendResponse({ ok: true, data });
+      return;
+    }
+    if (msg.action === 'ai_cache_delete') {
+      if (!isCacheKey(msg.key)) {
+        sendResponse({ ok: false, error: 'Invalid cache key' });
+        return;
+      }
+      await gTranslationCache.remove(msg.key);
+      sendResponse({ ok: true });
+      return;
+    }
+    if (msg.action === 'ai_cache_clear') {
+      await gTranslationCache.clear();
+      await gTranslationMemory.clear();
+      sendResponse({ ok: true });
+      return;
+    }
+
+    // --- Translation memory (page via content.js relay, see translation-memory.js) ---
+    if (msg.action === 'translation_memory_lookup' || msg.action === 'translation_memory_store') {
+      const { scope } = msg;
+      if (!scope || !scope.srcLang || !scope.targetLang || !scope.provider || typeof scope.model !== 'string') {
+        sendResponse({ ok: false, error: 'Invalid translation memory scope' });
+        return;
+      }
       try {
-        const result = await handleCopilotTranslate(gSettings, msg.messages);
-        sendResponse({ ok: true, data: result });
+        if (msg.action === 'translation_memory_lookup') {
+          sendResponse({ ok: true, data: await gTranslationMemory.lookup(scope, msg.texts || []) });
+        }
+        else {
+          await gTranslationMemory.store(scope, msg.pairs || [], cacheBudgetBytes(gSettings));
+          sendResponse({ ok: true });
+        }
       } catch (e) {
-        console.error('[Copilot translate error]', e.message);
+        console.error('[Translation memory error]', e.message);
         sendResponse({ ok: false, error: e.message });
       }
       return;
     }
 
+    // --- Commands for the AI subtitle in open players (from the pop-up) ---
+    // `players`: players with an active AI subtitle, which run the command
+    if (msg.action === 'ai_retranslate') {
+      sendResponse({ ok: true, data: { players: await dispatchPlayerCommand({ command: 'retranslate' }) } });
+      return;
+    }
+    if (msg.action === 'ai_pack_export') {
+      sendResponse({ ok: true, data: { players: await dispatchPlayerCommand({ command: 'export-pack' }) } });
+      return;
+    }
+    if (msg.action === 'ai_pack_import') {
+      const players = await dispatchPlayerCommand({ command: 'import-pack', pack: msg.pack });
+      sendResponse({ ok: true, data: { players } });
+      return;
+    }
+
     sendResponse({ ok: false, error: 'Unknown action' });
   })();
   return true; // keep message channel open for async response
@@ -0,0 +1,79 @@
+const { secretSettingKeys } = require('./ai-providers');
+const { kSettingsVersion, upgradeSettings } = require('./settings-schema');
+
+// =============================================================================
+// Settings files and named profiles
+// =============================================================================
+// Both hold a snapshot of the user's preferences (layout, scales, colors, AI
+// provider and model, ...) in the same shape:
+//    {
+//      format: kSettingsFormat,
+//      settingsVersion,  // schema version of `settings`, see settings-schema.js
+//      savedAt,          // ms since epoch
+//      name,             // profiles only
+//      settings: { ... },
+//    }
+// Credentials are left out unless an export asks for them; profiles never hold
+// any, so switching profiles keeps the current login and API keys.
+// Applying a snapshot merges its (migrated) settings into the current ones and
+// sends them to the service worker like any change made in the pop-up.
+
+const kSettingsFormat = 'nflxmultisubs-settings';
+const kMaxProfileNameLength = 40;
+
+// state rather than preference; never part of a snapshot
+const kStateSettings = [
+  'settingsVersion',
+  'secondaryLanguageLastUsed',
+  'secondaryLanguageLastUsedIsCaption',
+  'githubCopilotToken', // short-lived, refreshed from githubOAuthToken
+  'githubCopilotTokenExpiry',
+];
+
+function createSnapshot(settings, { includeSecrets = false, name } = {}) {
+  const excluded = includeSecrets ? kStateSettings : kStateSettings.concat(secretSettingKeys());
+  const snapshot = {};
+  Object.keys(settings).filter(key => !excluded.includes(key)).forEach(key => {
+    snapshot[key] = settings[key];
+  });
+  const result = { format: kSettingsFormat, settingsVersion: kSettingsVersion, savedAt: Date.now() };
+  if (name) result.name = name;
+  result.settings = snapshot;
+  return result;
+}
+
+// @returns {string|null} why `file` is not a usable snapshot, or null if it is valid
+function validateSnapshot(file) {
+  if (!file || typeof file !== 'object') return 'Not a settings file';
+  if (file.format !== kSettingsFormat) return 'Not a NflxMultiSubs settings file';
+  if (!file.settings || typeof file.settings !== 'object' || Array.isArray(file.settings)) {
+    return 'The file holds no settings';
+  }
+  return null;
+}
+
+// the settings of a valid snapshot, to merge into the current ones
+// (invalid values are replaced by the service worker, see normalizeSettings())
+function snapshotSettings(file) {
+  const settings = upgradeSettings(Object.assign({}, file.settings, { settingsVersion: file.settingsVersion }));
+  kStateSettings.forEach(key => { delete settings[key]; });
+  return settings;
+}
+
+function settingsFileName(date = new Date()) {
+  return `nflxmultisubs-settings-${date.toISOString().slice(0, 10)}.json`;
+}
+
+// @returns {string} trimmed profile name, or '' if unusable
+function profileName(name) {
+  return String(name || '').replace(/\s+/g, ' ').trim().slice(0, kMaxProfileNameLength);
+}
+
+module.exports = {
+  kSettingsFormat,
+  createSnapshot,
+  validateSnapshot,
+  snapshotSettings,
+  settingsFileName,
+  profileName,
+};
@@ -0,0 +1,163 @@
+const kDefaultSettings = require('./default-settings');
+const { kAiLanguages } = require('./ai-languages');
+const { listProviders } = require('./ai-providers');
+
+// =============================================================================
+// Settings schema: versioning, migrations and validation
+// =============================================================================
+// Stored settings carry the version of the schema they were saved with
+// (settingsVersion; settings saved before versioning count as version 0).
+// On load they are brought up to date without losing what the user set:
+//  1. the pending migrations of kMigrations run in order
+//  2. settings added since get their default value
+//  3. every field is checked against kFieldRules and the type of its default;
+//     numbers are clamped to their range, other invalid values are replaced by
+//     their default, one field at a time
+// Adding a setting only takes a default in default-settings.js. A migration is
+// needed when a value changes meaning, type or name: append it to kMigrations
+// and bump settingsVersion in default-settings.js.
+
+const kSettingsVersion = kDefaultSettings.settingsVersion;
+
+// { version, migrate(settings) }: turns settings of version `version - 1`
+// into `version`, in place
+const kMigrations = [
+  {
+    version: 1,
+    // opacity used to be forced back to 1 on every save (removed with the
+    // opacity controls); values stored before then are reset once
+    migrate: settings => {
+      ['primaryImageOpacity', 'primaryTextOpacity', 'secondaryImageOpacity', 'secondaryTextOpacity']
+        .forEach(key => { settings[key] = 1; });
+    },
+  },
+];
+
+// -----------------------------------------------------------------------------
+// field checks
+
+const isColor = value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// rate limit overrides: { [providerId]: { concurrency, requestsPerMinute, tokensPerMinute } }
+const isRateLimits = value => isPlainObject(value) && Object.keys(value).every(id =>
+  isPlainObject(value[id]) && Object.keys(value[id]).every(key => isFinite(value[id][key])));
+
+// key => { min, max } for numbers, { options } or { check } for anything else;
+// fields without a rule only need the type of their default
+const kFieldRules = {
+  upperBaselinePos: { min: 0, max: 1 },
+  lowerBaselinePos: { min: 0, max: 1 },
+  primaryImageScale: { min: 0.1, max: 3 },
+  primaryImageOpacity: { min: 0, max: 1 },
+  primaryTextScale: { min: 0.3, max: 2.5 },
+  primaryTextOpacity: { min: 0, max: 1 },
+  primaryTextColor: { check: isColor },
+  secondaryImageScale: { min: 0.1, max: 3 },
+  secondaryImageOpacity: { min: 0, max: 1 },
+  secondaryTextScale: { min: 0.3, max: 2.5 },
+  secondaryTextStroke: { min: 0, max: 10 },
+  secondaryTextOpacity: { min: 0, max: 1 },
+  secondaryTextColor: { check: isColor },
+  secondaryLanguageMode: { options: () => ['disabled', 'audio', 'last'] },
+  aiProvider: { options: () => listProviders().map(p => p.id) },
+  aiRateLimits: { check: isRateLimits },
+  aiMockTransform: { options: () => ['tag', 'reverse', 'upper'] },
+  aiMockLatencyMs: { min: 0, max: 60000 },
+  aiMockFailure: { options: () => ['none', 'rate-limit', 'server-error', 'malformed', 'wrong-count'] },
+  aiMockFailureEvery: { min: 1, max: 1000 },
+  aiTargetLanguage: { options: () => kAiLanguages.map(l => l.code) },
+  aiCacheBudgetMB: { min: 1, max: 9 },
+  githubCopilotTokenExpiry: { min: 0 },
+};
+
+// @returns {{ value } | { error }} `value` as it should be stored for `key`
+function checkField(key, value) {
+  const defaultValue = kDefaultSettings[key];
+  const rule = kFieldRules[key] || {};
+
+  if (typeof defaultValue === 'number') {
+    // numbers typed into text fields of the pop-up arrive as strings
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !isFinite(number)) return { error: 'not a number' };
+    const clamped = Math.min(rule.max !== undefined ? rule.max : Infinity,
+      Math.max(rule.min !== undefined ? rule.min : -Infinity, number));
+    return { value: clamped };
+  }
+  if (rule.options && !rule.options().includes(value)) return { error: 'unknown value' };
+  if (rule.check && !rule.check(value)) return { error: 'invalid value' };
+  if (isPlainObject(defaultValue) ? !isPlainObject(value) : typeof value !== typeof defaultValue) {
+    return { error: `not a ${typeof defaultValue}` };
+  }
+  return { value };
+}
+
+// A copy of `settings` with every known field valid; unknown keys are kept as they are.
+// @returns {Object} settings, plus the list of fixed fields as `problems`
+function checkSettings(settings) {
+  const result = Object.assign({}, settings);
+  const problems = [];
+  Object.keys(kDefaultSettings).forEach(key => {
+    if (!(key in result)) {
+      result[key] = clone(kDefaultSettings[key]);
+      return;
+    }
+    const { value, error } = checkField(key, result[key]);
+    if (error) {
+      problems.push(`${key}: ${error} (${JSON.stringify(result[key])}), reset to default`);
+      result[key] = clone(kDefaultSettings[key]);
+    }
+    else if (value !== result[key]) {
+      problems.push(`${key}: ${JSON.stringify(result[key])} corrected to ${JSON.stringify(value)}`);
+      result[key] = value;
+    }
+  });
+  result.settingsVersion = kSettingsVersion;
+  return { settings: result, problems };
+}
+
+function clone(value) {
+  return isPlainObject(value) ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+// -----------------------------------------------------------------------------
+
+// Settings as changed by the pop-up or the page, made valid field by field
+function normalizeSettings(settings) {
+  const checked = checkSettings(settings);
+  checked.problems.forEach(problem => console.warn('Settings:', problem));
+  return checked.settings;
+}
+
+// A copy of `settings` (possibly partial, e.g. a profile) with the pending migrations applied
+function upgradeSettings(settings) {
+  const result = Object.assign({}, settings);
+  const version = parseInt(result.settingsVersion) || 0;
+  if (version > kSettingsVersion) {
+    // saved by a newer release (downgrade): keep what this one understands
+    console.warn(`Settings: version ${version} is newer than ${kSettingsVersion}`);
+  }
+  kMigrations.filter(m => m.version > version).forEach(m => {
+    console.log(`Settings: migrating to version ${m.version}`);
+    m.migrate(result);
+  });
+  result.settingsVersion = kSettingsVersion;
+  return result;
+}
+
+// Stored settings of any version, brought up to date.
+// @returns {Object} { settings, changed }: `changed` if they need to be saved again
+function migrateSettings(stored) {
+  const normalized = normalizeSettings(upgradeSettings(stored));
+  const changed = JSON.stringify(normalized) !== JSON.stringify(stored);
+  return { settings: normalized, changed };
+}
+
+module.exports = {
+  kSettingsVersion,
+  kMigrations,
+  checkField,
+  normalizeSettings,
+  upgradeSettings,
+  migrateSettings,
+};
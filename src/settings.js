@@ -1,3 +1,13 @@
+const { kAiLanguages } = require('./ai-languages');
+const { getProvider, listProviders, kRateLimitFields, getRateLimits } = require('./ai-providers');
+const {
+  createSnapshot,
+  validateSnapshot,
+  snapshotSettings,
+  settingsFileName,
+  profileName,
+} = require('./settings-profiles');
+
 let settings = {};
 let primaryPicker, secondaryPicker;
 
@@ -174,76 +184,294 @@ function renderVersion() {
 }
 
 // =============================================================================
-// AI Settings
+// Profiles and settings files (see settings-profiles.js)
 // =============================================================================
 
-const AI_PROVIDER_MODELS = {
-  gemini: 'gemini-2.0-flash',
-  openai: 'gpt-4o-mini',
-  copilot: 'gpt-5-mini',
-};
-
-const COPILOT_MODELS = [
-  'gpt-5-mini',
-  'gpt-5',
-  'gpt-4o',
-  'gpt-4o-mini',
-  'o3-mini',
-  'o3',
-  'claude-3.7-sonnet',
-  'claude-3.5-sonnet',
-  'gemini-2.0-flash',
-];
+// merge a profile or settings file into the current settings; like any other
+// change, it goes to the service worker, which updates the open players
+function applySnapshot(snapshot) {
+  settings = Object.assign(settings, snapshotSettings(snapshot));
+  uploadSettings();
+  port.postMessage({ reload: true }); // get them back as validated
+}
+
+function renderProfiles(selectedName) {
+  chrome.runtime.sendMessage({ action: 'settings_profile_list' }, resp => {
+    const select = document.getElementById('profile-select');
+    const profiles = (resp && resp.ok) ? resp.data : [];
+    select.innerHTML = '';
+    profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.name;
+      option.textContent = profile.name;
+      select.appendChild(option);
+    });
+    if (selectedName) select.value = selectedName;
+    select.disabled = profiles.length === 0;
+    document.getElementById('profile-apply-btn').disabled = profiles.length === 0;
+    document.getElementById('profile-delete-btn').disabled = profiles.length === 0;
+  });
+}
+
+function saveProfile() {
+  const input = document.getElementById('profile-name');
+  const status = document.getElementById('profile-status');
+  const name = profileName(input.value);
+  if (!name) return;
+  chrome.runtime.sendMessage({ action: 'settings_profile_save', name }, resp => {
+    if (!resp || !resp.ok) {
+      status.textContent = `Cannot save the profile: ${(resp && resp.error) || 'unknown error'}`;
+      return;
+    }
+    input.value = '';
+    status.textContent = `Saved the current settings as "${name}".`;
+    renderProfiles(name);
+  });
+}
+
+function switchProfile() {
+  const name = document.getElementById('profile-select').value;
+  const status = document.getElementById('profile-status');
+  chrome.runtime.sendMessage({ action: 'settings_profile_list' }, resp => {
+    const profile = resp && resp.ok && resp.data.find(p => p.name === name);
+    if (!profile) return;
+    applySnapshot(profile);
+    status.textContent = `Switched to "${name}".`;
+  });
+}
+
+function deleteProfile() {
+  const name = document.getElementById('profile-select').value;
+  if (!name || !window.confirm(`Delete the profile "${name}"?`)) return;
+  chrome.runtime.sendMessage({ action: 'settings_profile_delete', name }, () => renderProfiles());
+}
+
+function exportSettings() {
+  const includeSecrets = document.getElementById('settings-export-secrets').checked;
+  const file = createSnapshot(settings, { includeSecrets });
+  const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = settingsFileName();
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  document.getElementById('settings-file-status').textContent = includeSecrets
+    ? 'Exported, with API keys and GitHub login: keep the file private.'
+    : 'Exported, without API keys and GitHub login.';
+}
+
+function importSettings(evt) {
+  const status = document.getElementById('settings-file-status');
+  const file = evt.target.files[0];
+  evt.target.value = '';
+  if (!file) return;
+
+  file.text().then(text => {
+    let snapshot;
+    try {
+      snapshot = JSON.parse(text);
+    } catch (err) {
+      status.textContent = `${file.name} is not a JSON file.`;
+      return;
+    }
+    const invalid = validateSnapshot(snapshot);
+    if (invalid) {
+      status.textContent = `${file.name}: ${invalid}.`;
+      return;
+    }
+    applySnapshot(snapshot);
+    status.textContent = `Imported ${file.name}.`;
+  });
+}
 
-const AI_APIKEY_HINTS = {
-  gemini: 'Get your key at aistudio.google.com/app/apikey',
-  openai: 'Get your key at platform.openai.com/api-keys',
-  copilot: '',
-};
+// =============================================================================
+// AI Settings
+// =============================================================================
 
 function renderAiSettings() {
-  const provider = settings.aiProvider || 'gemini';
+  const provider = getProvider(settings.aiProvider);
+
+  // Target language
+  document.getElementById('ai-target-lang-select').value = settings.aiTargetLanguage || 'ko';
+
+  const budgetInput = document.getElementById('ai-cache-budget');
+  if (budgetInput !== document.activeElement) budgetInput.value = settings.aiCacheBudgetMB;
 
   // Provider buttons
   document.querySelectorAll('.ai-provider-btn').forEach(btn => {
-    btn.classList.toggle('active', btn.dataset.provider === provider);
+    btn.classList.toggle('active', btn.dataset.provider === provider.id);
   });
 
-  // Show/hide API key section
-  const apikeySection = document.getElementById('ai-apikey-section');
+  // GitHub login (Copilot)
   const copilotSection = document.getElementById('ai-copilot-section');
-  if (provider === 'copilot') {
-    apikeySection.style.display = 'none';
+  if (provider.auth === 'github') {
     copilotSection.style.display = '';
     renderCopilotStatus();
   } else {
-    apikeySection.style.display = '';
     copilotSection.style.display = 'none';
-    document.getElementById('ai-apikey-label').textContent =
-      provider === 'openai' ? 'OpenAI API Key' : 'Gemini API Key';
-    const keyField = document.getElementById('ai-api-key');
-    keyField.value = settings.aiApiKey || '';
-    keyField.placeholder = provider === 'openai' ? 'sk-...' : 'AIza...';
-    document.getElementById('ai-apikey-hint').textContent = AI_APIKEY_HINTS[provider] || '';
   }
 
-  // Model
-  const modelField = document.getElementById('ai-model');
-  modelField.value = settings.aiModel || AI_PROVIDER_MODELS[provider] || '';
-  modelField.placeholder = AI_PROVIDER_MODELS[provider] || '';
-
-  // Hide model input for Copilot (use dropdown instead)
-  document.getElementById('ai-model-section').style.display = provider === 'copilot' ? 'none' : '';
-
-  // Copilot model dropdown
-  const copilotModelSection = document.getElementById('ai-copilot-model-section');
-  if (provider === 'copilot' && copilotModelSection) {
-    copilotModelSection.style.display = '';
-    const sel = document.getElementById('ai-copilot-model-select');
-    sel.value = settings.aiModel || 'gpt-5-mini';
-  } else if (copilotModelSection) {
-    copilotModelSection.style.display = 'none';
+  renderProviderFields(provider);
+  renderRateLimitFields(provider);
+
+  // the login status above already covers providers with their own auth
+  const invalid = provider.validate(settings);
+  const statusEl = document.getElementById('ai-provider-status');
+  if (provider.auth || !invalid) {
+    statusEl.innerHTML = '';
+  } else {
+    statusEl.innerHTML = `<span class="ai-warn">⚠️ ${invalid}</span>`;
+  }
+}
+
+function renderProviderButtons() {
+  const list = document.getElementById('ai-provider-list');
+  list.innerHTML = '';
+  listProviders().forEach(provider => {
+    const btn = document.createElement('div');
+    btn.classList.add('ai-provider-btn');
+    btn.dataset.provider = provider.id;
+    btn.textContent = provider.label;
+    btn.addEventListener('click', () => updateAiProvider(provider.id));
+    list.appendChild(btn);
+  });
+}
+
+// (re)build the inputs declared by the provider, then fill in current values
+function renderProviderFields(provider) {
+  const container = document.getElementById('ai-provider-fields');
+  if (container.dataset.provider !== provider.id) {
+    container.dataset.provider = provider.id;
+    container.innerHTML = '';
+    provider.fields.forEach(field => container.appendChild(buildProviderField(field)));
+  }
+
+  provider.fields.forEach(field => {
+    const input = container.querySelector(`[data-key="${field.key}"]`);
+    if (!input || input === document.activeElement) return;
+    input.value = settings[field.key] || provider.defaults[field.key] || '';
+  });
+}
+
+// scheduling budget of the selected provider, stored in settings.aiRateLimits
+function renderRateLimitFields(provider) {
+  const container = document.getElementById('ai-rate-limit-fields');
+  if (container.dataset.provider !== provider.id) {
+    container.dataset.provider = provider.id;
+    container.innerHTML = '';
+    kRateLimitFields.forEach(field => {
+      const wrapper = document.createElement('div');
+      const label = document.createElement('p');
+      label.classList.add('ai-label');
+      label.textContent = field.label;
+      const row = document.createElement('div');
+      row.classList.add('ai-input-row');
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = field.key === 'concurrency' ? 1 : 0;
+      input.dataset.key = field.key;
+      const btn = document.createElement('button');
+      btn.textContent = 'Save';
+      btn.addEventListener('click', () => {
+        const value = parseInt(input.value);
+        if (isNaN(value) || value < input.min) return;
+        const limits = Object.assign({}, settings.aiRateLimits);
+        limits[provider.id] = Object.assign({}, limits[provider.id], { [field.key]: value });
+        settings = Object.assign(settings, { aiRateLimits: limits });
+        uploadSettings();
+        btn.textContent = 'Saved!';
+        setTimeout(() => { btn.textContent = 'Save'; }, 1500);
+      });
+      row.appendChild(input);
+      row.appendChild(btn);
+      wrapper.appendChild(label);
+      wrapper.appendChild(row);
+      container.appendChild(wrapper);
+    });
+  }
+
+  const limits = getRateLimits(settings, provider);
+  kRateLimitFields.forEach(field => {
+    const input = container.querySelector(`[data-key="${field.key}"]`);
+    if (input && input !== document.activeElement) input.value = limits[field.key];
+  });
+}
+
+function buildProviderField(field) {
+  const wrapper = document.createElement('div');
+
+  const label = document.createElement('p');
+  label.classList.add('ai-label');
+  label.textContent = field.label;
+  wrapper.appendChild(label);
+
+  const hint = document.createElement('p');
+  hint.classList.add('ai-hint');
+  hint.textContent = field.hint || '';
+
+  if (field.type === 'select') {
+    const select = document.createElement('select');
+    select.classList.add('ai-model-select');
+    select.dataset.key = field.key;
+    field.options.forEach(value => {
+      const option = document.createElement('option');
+      option.value = option.textContent = value;
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => updateProviderField(field, select.value, hint));
+    wrapper.appendChild(select);
+  } else {
+    const row = document.createElement('div');
+    row.classList.add('ai-input-row');
+    const input = document.createElement('input');
+    input.type = field.type === 'password' ? 'password' : 'text';
+    input.placeholder = field.placeholder || '';
+    input.autocomplete = 'off';
+    input.dataset.key = field.key;
+    const btn = document.createElement('button');
+    btn.textContent = 'Save';
+    btn.addEventListener('click', async () => {
+      if (await updateProviderField(field, input.value.trim(), hint)) {
+        btn.textContent = 'Saved!';
+        setTimeout(() => { btn.textContent = 'Save'; }, 1500);
+      }
+    });
+    row.appendChild(input);
+    row.appendChild(btn);
+    wrapper.appendChild(row);
+  }
+
+  if (field.hint || field.type === 'url') wrapper.appendChild(hint);
+  return wrapper;
+}
+
+// @returns {boolean} Saved?
+async function updateProviderField(field, value, hint) {
+  if (field.type === 'url' && value) {
+    if (!/^https?:\/\//i.test(value)) {
+      hint.innerHTML = '<span class="ai-warn">⚠️ URL must start with http:// or https://</span>';
+      return false;
+    }
+    const granted = await requestEndpointPermission(value);
+    hint.innerHTML = granted
+      ? '<span class="ai-ok">✅ Saved</span>'
+      : '<span class="ai-warn">⚠️ Saved, but access to this host was not granted</span>';
   }
+
+  settings = Object.assign(settings, { [field.key]: value });
+  uploadSettings();
+  renderAiSettings();
+  return true;
+}
+
+function updateAiProvider(providerId) {
+  const provider = getProvider(providerId);
+  settings = Object.assign(settings, { aiProvider: provider.id }, provider.defaults);
+  uploadSettings();
+  renderActiveSettings();
 }
 
 function renderCopilotStatus() {
@@ -262,6 +490,22 @@ function renderCopilotStatus() {
   }
 }
 
+// The custom endpoint is fetched by the background script, which needs a host
+// permission for its origin; must be called from a user gesture (click handler)
+function requestEndpointPermission(url) {
+  return new Promise(resolve => {
+    let origin;
+    try {
+      origin = new URL(url).origin;
+    } catch (err) {
+      return resolve(false);
+    }
+    chrome.permissions.request({ origins: [`${origin}/*`] }, granted => {
+      resolve(!!granted && !chrome.runtime.lastError);
+    });
+  });
+}
+
 async function startCopilotLogin() {
   const loginBtn = document.getElementById('copilot-login-btn');
   const deviceFlowDiv = document.getElementById('copilot-device-flow');
@@ -298,27 +542,148 @@ async function startCopilotLogin() {
         return;
       }
 
-      // ✅ 로그인 성공 → provider를 copilot으로 자동 전환
-      settings = Object.assign(settings, {
-        aiProvider: 'copilot',
-        aiModel: 'gpt-4o',
+      // ✅ 로그인 성공 → provider는 service worker에서 copilot으로 자동 전환됨
+      // (uploading our copy here would overwrite the new token with a stale one)
+      port.postMessage({ reload: true }); // trigger reload from storage
+    });
+  });
+}
+
+// discard the cached translation of the playing title and translate it again
+function retranslateActiveSubtitle() {
+  const status = document.getElementById('ai-retranslate-status');
+  chrome.runtime.sendMessage({ action: 'ai_retranslate' }, resp => {
+    if (!resp || !resp.ok || !resp.data.players) {
+      status.textContent = 'No Netflix player with an AI subtitle is open.';
+      return;
+    }
+    status.textContent = 'Re-translating the selected AI subtitle…';
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Translation packs (created and checked by the player, see translation-pack.js)
+
+function exportTranslationPack() {
+  const status = document.getElementById('ai-pack-status');
+  chrome.runtime.sendMessage({ action: 'ai_pack_export' }, resp => {
+    if (!resp || !resp.ok || !resp.data.players) {
+      status.textContent = 'No Netflix player with an AI subtitle is open.';
+      return;
+    }
+    status.textContent = 'The player is saving the pack to your downloads.';
+  });
+}
+
+function importTranslationPack(evt) {
+  const status = document.getElementById('ai-pack-status');
+  const file = evt.target.files[0];
+  evt.target.value = '';
+  if (!file) return;
+
+  file.text().then(text => {
+    let pack;
+    try {
+      pack = JSON.parse(text);
+    } catch (err) {
+      status.textContent = `${file.name} is not a JSON file.`;
+      return;
+    }
+    chrome.runtime.sendMessage({ action: 'ai_pack_import', pack }, resp => {
+      if (!resp || !resp.ok || !resp.data.players) {
+        status.textContent = 'No Netflix player with an AI subtitle is open.';
+        return;
+      }
+      status.textContent = `Sent ${file.name} to the player; it checks the pack against the playing subtitle.`;
+    });
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Translation cache (managed by the service worker, see translation-cache.js)
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+function renderCacheList() {
+  chrome.runtime.sendMessage({ action: 'ai_cache_list' }, resp => {
+    const list = document.getElementById('ai-cache-list');
+    const total = document.getElementById('ai-cache-total');
+    list.innerHTML = '';
+    if (!resp || !resp.ok) {
+      total.textContent = 'Cannot load the cache list.';
+      return;
+    }
+
+    const { entries, totalBytes, memoryLines, memoryBytes = 0 } = resp.data;
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      const info = document.createElement('div');
+      const title = document.createElement('strong');
+      title.textContent = entry.title || entry.key;
+      title.title = entry.key;
+      const details = document.createElement('span');
+      const model = [entry.provider, entry.model].filter(Boolean).join(' ');
+      details.textContent = [
+        `${entry.srcLang} → ${entry.targetLang}`,
+        model,
+        formatBytes(entry.bytes),
+        new Date(entry.updatedAt).toLocaleDateString(),
+        entry.complete ? '' : 'partial',
+      ].filter(Boolean).join(' · ');
+      info.appendChild(title);
+      info.appendChild(details);
+
+      const remove = document.createElement('a');
+      remove.textContent = '✕';
+      remove.title = 'Delete';
+      remove.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ action: 'ai_cache_delete', key: entry.key }, renderCacheList);
       });
-      uploadSettings();
-      // settings updated in service worker, reload
-      port.postMessage({ settings: null }); // trigger reload from storage
+
+      item.appendChild(info);
+      item.appendChild(remove);
+      list.appendChild(item);
     });
+
+    // the translation memory counts against the same budget
+    const budget = (parseFloat(settings.aiCacheBudgetMB) || 0) * 1024 * 1024;
+    total.textContent = entries.length
+      ? `${entries.length} translations, ${formatBytes(totalBytes + memoryBytes)}${budget ? ` of ${formatBytes(budget)}` : ''}`
+      : 'No cached translations.';
+    if (memoryLines) {
+      total.textContent += ` ${memoryLines} recurring lines remembered across titles (${formatBytes(memoryBytes)}).`;
+    }
   });
 }
 
+function clearCache() {
+  if (!window.confirm('Delete all cached AI translations and the translation memory?')) return;
+  chrome.runtime.sendMessage({ action: 'ai_cache_clear' }, renderCacheList);
+}
+
+function updateCacheBudget() {
+  const input = document.getElementById('ai-cache-budget');
+  const value = parseFloat(input.value);
+  if (isNaN(value) || value < parseFloat(input.min)) return;
+  settings = Object.assign(settings, { aiCacheBudgetMB: value });
+  uploadSettings();
+  renderCacheList();
+}
+
 function copilotLogout() {
   chrome.runtime.sendMessage({ action: 'github_logout' }, () => {
-    port.postMessage({ settings: null }); // trigger reload from storage
+    port.postMessage({ reload: true }); // trigger reload from storage
   });
 }
 
 
 window.addEventListener('load', evt => {
   renderVersion();
+  renderProviderButtons();
   renderActiveSettings();
   console.log('Settings page loaded');
 
@@ -366,6 +731,16 @@ window.addEventListener('load', evt => {
     div.addEventListener('click', evt => updateSecondaryLanguage(languageId), false);
   });
 
+  document.getElementById('profile-save-btn').addEventListener('click', saveProfile);
+  document.getElementById('profile-apply-btn').addEventListener('click', switchProfile);
+  document.getElementById('profile-delete-btn').addEventListener('click', deleteProfile);
+  document.getElementById('settings-export-btn').addEventListener('click', exportSettings);
+  document.getElementById('settings-import-btn').addEventListener('click', () => {
+    document.getElementById('settings-file').click();
+  });
+  document.getElementById('settings-file').addEventListener('change', importSettings);
+  renderProfiles();
+
   const btnReset = document.getElementById('btnReset');
   btnReset.addEventListener('click', evt => {
     resetSettings();
@@ -373,44 +748,33 @@ window.addEventListener('load', evt => {
 
   // AI settings event handlers
   // ---------------------------------------------------------------------------
-  document.querySelectorAll('.ai-provider-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const provider = btn.dataset.provider;
-      settings = Object.assign(settings, {
-        aiProvider: provider,
-        aiModel: AI_PROVIDER_MODELS[provider] || settings.aiModel,
-      });
-      uploadSettings();
-      renderActiveSettings();
-    });
+  const targetLangSel = document.getElementById('ai-target-lang-select');
+  kAiLanguages.forEach(l => {
+    const option = document.createElement('option');
+    option.value = l.code;
+    option.textContent = `${l.nativeName} (${l.name})`;
+    targetLangSel.appendChild(option);
   });
-
-  document.getElementById('ai-apikey-save').addEventListener('click', () => {
-    const key = document.getElementById('ai-api-key').value.trim();
-    settings = Object.assign(settings, { aiApiKey: key });
+  targetLangSel.value = settings.aiTargetLanguage || 'ko';
+  targetLangSel.addEventListener('change', () => {
+    settings = Object.assign(settings, { aiTargetLanguage: targetLangSel.value });
     uploadSettings();
-    const btn = document.getElementById('ai-apikey-save');
-    btn.textContent = 'Saved!';
-    setTimeout(() => { btn.textContent = 'Save'; }, 1500);
   });
 
-  document.getElementById('ai-model-save').addEventListener('click', () => {
-    const model = document.getElementById('ai-model').value.trim();
-    settings = Object.assign(settings, { aiModel: model });
-    uploadSettings();
-    const btn = document.getElementById('ai-model-save');
-    btn.textContent = 'Saved!';
-    setTimeout(() => { btn.textContent = 'Save'; }, 1500);
+  document.getElementById('ai-glossary-link').addEventListener('click', evt => {
+    evt.preventDefault();
+    chrome.runtime.openOptionsPage();
   });
 
+  document.getElementById('ai-retranslate-btn').addEventListener('click', retranslateActiveSubtitle);
+  document.getElementById('ai-pack-export-btn').addEventListener('click', exportTranslationPack);
+  document.getElementById('ai-pack-import-btn').addEventListener('click', () => {
+    document.getElementById('ai-pack-file').click();
+  });
+  document.getElementById('ai-pack-file').addEventListener('change', importTranslationPack);
+  document.getElementById('ai-cache-budget-btn').addEventListener('click', updateCacheBudget);
+  document.getElementById('ai-cache-clear-btn').addEventListener('click', clearCache);
+  renderCacheList();
   document.getElementById('copilot-login-btn').addEventListener('click', startCopilotLogin);
   document.getElementById('copilot-logout-btn').addEventListener('click', copilotLogout);
-
-  const copilotModelSel = document.getElementById('ai-copilot-model-select');
-  if (copilotModelSel) {
-    copilotModelSel.addEventListener('change', () => {
-      settings = Object.assign(settings, { aiModel: copilotModelSel.value });
-      uploadSettings();
-    });
-  }
 });
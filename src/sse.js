@@ -0,0 +1,61 @@
+// =============================================================================
+// Server-sent events (text/event-stream) for streamed provider responses
+// =============================================================================
+
+function isEventStream(response) {
+  return (response.headers.get('content-type') || '').includes('text/event-stream');
+}
+
+// Read an SSE response body and call onData(data) with the data of every event
+// as soon as it is complete; the OpenAI-style "[DONE]" terminator is skipped
+async function readEventStream(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const dispatch = block => {
+    const data = block.split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /, ''))
+      .join('\n');
+    if (data && data !== '[DONE]') onData(data);
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop(); // incomplete event
+    blocks.forEach(dispatch);
+  }
+  buffer += decoder.decode();
+  if (buffer.trim()) dispatch(buffer);
+}
+
+// Collect the assistant text of a streamed Chat Completions response, calling
+// onText(delta) for every piece. Servers that ignore `stream: true` answer with
+// a plain JSON completion, which is accepted as one single piece
+// @returns {Promise<string>} the complete text
+async function readChatCompletionStream(response, onText) {
+  if (!isEventStream(response)) {
+    const data = JSON.parse(await response.text());
+    const text = data?.choices?.[0]?.message?.content || '';
+    if (text && onText) onText(text);
+    return text;
+  }
+
+  let text = '';
+  await readEventStream(response, data => {
+    const delta = JSON.parse(data)?.choices?.[0]?.delta?.content;
+    if (!delta) return;
+    text += delta;
+    onText && onText(delta);
+  });
+  return text;
+}
+
+module.exports = {
+  isEventStream,
+  readEventStream,
+  readChatCompletionStream,
+};
@@ -0,0 +1,197 @@
+// =============================================================================
+// AI translation cache manager (service worker)
+// =============================================================================
+// Translations live in chrome.storage.local under `ai_cache_<movieId>_<src>_<target>`
+// (see the cache entry format in nflxmultisubs.js). Next to them, an index keeps
+// what is needed to list and evict them without loading every translation:
+//    ai_cache_index: {
+//      [key]: { bytes, lastAccess, title, srcLang, targetLang, provider, model, complete, updatedAt },
+//    }
+// Whenever the total grows past the byte budget, the least recently used
+// translations are deleted.
+
+const kCacheKeyPrefix = 'ai_cache_';
+const kCacheIndexKey = 'ai_cache_index';
+
+function storageGet(keys) {
+  return new Promise(resolve => chrome.storage.local.get(keys, resolve));
+}
+
+function storageSet(items) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set(items, () => {
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else resolve();
+    });
+  });
+}
+
+function storageRemove(keys) {
+  return new Promise(resolve => chrome.storage.local.remove(keys, resolve));
+}
+
+// Write lock: storage items are updated read-modify-write, so the updates of
+// one item have to run one after another. Returns `serialized(fn)`
+function serialQueue() {
+  let queue = Promise.resolve();
+  return fn => {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+}
+
+// key of a cached translation (not the index)
+function isCacheKey(key) {
+  return typeof key === 'string' && key.length > kCacheKeyPrefix.length &&
+    key.indexOf(kCacheKeyPrefix) === 0 && key !== kCacheIndexKey;
+}
+
+// approximately what chrome.storage counts against the quota
+function entryBytes(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+function indexRecord(key, value, info = {}, previous = {}) {
+  const meta = (value && value.meta) || {};
+  const [, srcLang = '', targetLang = ''] = key.slice(kCacheKeyPrefix.length).split('_');
+  return {
+    bytes: entryBytes(key, value),
+    lastAccess: Date.now(),
+    title: info.title || previous.title || '',
+    srcLang,
+    targetLang: meta.targetLang || targetLang,
+    provider: meta.provider || '',
+    model: meta.model || '',
+    complete: !!(value && value.complete),
+    updatedAt: (value && value.updatedAt) || Date.now(),
+  };
+}
+
+
+class TranslationCache {
+  constructor() {
+    this.serialized = serialQueue(); // index updates
+    this.synced = false;
+  }
+
+
+  // the index, with translations stored before it existed (or by an older version) added
+  async loadIndex() {
+    const { [kCacheIndexKey]: index = {} } = await storageGet([kCacheIndexKey]);
+    if (this.synced) return index;
+
+    const items = await storageGet(null);
+    Object.keys(items).filter(isCacheKey).forEach(key => {
+      if (index[key]) return;
+      index[key] = indexRecord(key, items[key]);
+      index[key].lastAccess = index[key].updatedAt;
+    });
+    Object.keys(index).forEach(key => {
+      if (!(key in items)) delete index[key];
+    });
+    await storageSet({ [kCacheIndexKey]: index });
+    this.synced = true;
+    return index;
+  }
+
+
+  read(key) {
+    return this.serialized(async () => {
+      const { [key]: value = null } = await storageGet([key]);
+      const index = await this.loadIndex();
+      if (value && index[key]) {
+        index[key].lastAccess = Date.now();
+        await storageSet({ [kCacheIndexKey]: index });
+      }
+      return value;
+    });
+  }
+
+
+  // info: { title } for display in the pop-up
+  write(key, value, info, budgetBytes) {
+    return this.serialized(async () => {
+      const index = await this.loadIndex();
+      index[key] = indexRecord(key, value, info, index[key]);
+      this.evict(index, budgetBytes, key);
+      try {
+        await storageSet({ [key]: value, [kCacheIndexKey]: index });
+      } catch (err) {
+        // over the storage quota after all: make room by halving the budget once
+        console.warn('Translation cache: write failed, evicting,', err.message);
+        this.evict(index, Math.floor(this.totalBytes(index) / 2), key);
+        await storageSet({ [key]: value, [kCacheIndexKey]: index });
+      }
+    });
+  }
+
+
+  // drop least recently used entries from `index` (and storage) until the total
+  // fits `budgetBytes`; `keepKey` is the entry being written and always stays
+  evict(index, budgetBytes, keepKey) {
+    if (!(budgetBytes > 0)) return;
+    const victims = Object.keys(index)
+      .filter(key => key !== keepKey)
+      .sort((a, b) => index[a].lastAccess - index[b].lastAccess);
+    let total = this.totalBytes(index);
+    const removed = [];
+    while (total > budgetBytes && victims.length > 0) {
+      const key = victims.shift();
+      total -= index[key].bytes;
+      delete index[key];
+      removed.push(key);
+    }
+    if (removed.length > 0) {
+      console.log(`Translation cache: evicted ${removed.length} entries`, removed);
+      storageRemove(removed);
+    }
+  }
+
+
+  totalBytes(index) {
+    return Object.keys(index).reduce((sum, key) => sum + index[key].bytes, 0);
+  }
+
+
+  // @returns {Promise<{ entries: Array<object>, totalBytes: number }>} most recently used first
+  list() {
+    return this.serialized(async () => {
+      const index = await this.loadIndex();
+      const entries = Object.keys(index)
+        .map(key => Object.assign({ key }, index[key]))
+        .sort((a, b) => b.lastAccess - a.lastAccess);
+      return { entries, totalBytes: this.totalBytes(index) };
+    });
+  }
+
+
+  remove(key) {
+    return this.serialized(async () => {
+      const index = await this.loadIndex();
+      delete index[key];
+      await storageRemove([key]);
+      await storageSet({ [kCacheIndexKey]: index });
+    });
+  }
+
+
+  clear() {
+    return this.serialized(async () => {
+      const index = await this.loadIndex();
+      await storageRemove(Object.keys(index));
+      await storageSet({ [kCacheIndexKey]: {} });
+    });
+  }
+}
+
+module.exports = {
+  kCacheKeyPrefix,
+  isCacheKey,
+  entryBytes,
+  storageGet,
+  storageSet,
+  storageRemove,
+  serialQueue,
+  TranslationCache,
+};
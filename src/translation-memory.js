@@ -0,0 +1,129 @@
+const { entryBytes, storageGet, storageSet, storageRemove, serialQueue } = require('./translation-cache');
+
+// =============================================================================
+// Translation memory (service worker)
+// =============================================================================
+// Short lines that recur across episodes and titles ("What?", "Let's go.",
+// theme-song lyrics, "[door creaks]") are translated once and reused.
+// Records are keyed by source language, target language, provider, model
+// (empty for machine translation) and the normalized source text, and all live
+// in one chrome.storage.local item:
+//    ai_tm2: {
+//      [`${srcLang}|${targetLang}|${provider}|${model}|${source}`]: { text, uses, lastUse },
+//    }
+// The item shares the storage budget of the translation cache (aiCacheBudgetMB):
+// it may take up to kBudgetShare of it, beyond which the least recently used
+// records are dropped, and the cache gets what is left (see service_worker.js).
+
+const kMemoryKey = 'ai_tm2';
+// keyed without the provider, so that e.g. mock output could be served to a real
+// model using the same model name; dropped
+const kLegacyMemoryKeys = ['ai_tm'];
+const kBudgetShare = 0.25;
+const kMaxSourceLength = 80; // longer lines practically never recur word for word
+
+// the same line is sometimes wrapped or spaced differently between tracks
+function normalizeSource(text) {
+  return String(text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+// @returns {string|null} record key, or null if the line is not worth remembering
+function memoryKey({ srcLang, targetLang, provider, model }, text) {
+  const source = normalizeSource(text);
+  if (!source || source.length > kMaxSourceLength) return null;
+  return `${srcLang}|${targetLang}|${provider}|${model}|${source}`;
+}
+
+
+class TranslationMemory {
+  constructor() {
+    this.serialized = serialQueue();
+    this.records = null; // loaded once per service worker lifetime
+  }
+
+
+  async load() {
+    if (!this.records) {
+      const { [kMemoryKey]: records = {} } = await storageGet([kMemoryKey]);
+      this.records = records;
+      await storageRemove(kLegacyMemoryKeys);
+    }
+    return this.records;
+  }
+
+
+  // scope: { srcLang, targetLang, provider, model }
+  // @returns {Promise<Array<string|null>>} remembered translation per text (same order)
+  lookup(scope, texts) {
+    return this.serialized(async () => {
+      const records = await this.load();
+      const now = Date.now();
+      return texts.map(text => {
+        const key = memoryKey(scope, text);
+        const record = key && records[key];
+        if (!record) return null;
+        record.uses++;
+        record.lastUse = now; // saved along with the next store()
+        return record.text;
+      });
+    });
+  }
+
+
+  // pairs: [{ source, text }] translated by the provider
+  // budgetBytes: storage budget of the cache and memory together
+  store(scope, pairs, budgetBytes) {
+    return this.serialized(async () => {
+      const records = await this.load();
+      const now = Date.now();
+      let added = 0;
+      pairs.forEach(({ source, text }) => {
+        const key = memoryKey(scope, source);
+        if (!key || typeof text !== 'string' || !text) return;
+        if (!records[key]) added++;
+        records[key] = { text, uses: records[key] ? records[key].uses : 0, lastUse: now };
+      });
+      if (added > 0) this.trim(records, budgetBytes * kBudgetShare);
+      await storageSet({ [kMemoryKey]: records });
+    });
+  }
+
+
+  // drop least recently used records until the item fits `maxBytes`
+  trim(records, maxBytes) {
+    if (!(maxBytes > 0)) return;
+    let total = entryBytes(kMemoryKey, records);
+    if (total <= maxBytes) return;
+    const keys = Object.keys(records).sort((a, b) => records[a].lastUse - records[b].lastUse);
+    while (total > maxBytes && keys.length > 0) {
+      const key = keys.shift();
+      // "key":{record}, as counted in the stored item
+      total -= entryBytes(JSON.stringify(key), records[key]) + 2;
+      delete records[key];
+    }
+  }
+
+
+  size() {
+    return this.serialized(async () => Object.keys(await this.load()).length);
+  }
+
+
+  // what the memory takes of the storage budget
+  bytes() {
+    return this.serialized(async () => entryBytes(kMemoryKey, await this.load()));
+  }
+
+
+  clear() {
+    return this.serialized(async () => {
+      this.records = {};
+      await storageSet({ [kMemoryKey]: {} });
+    });
+  }
+}
+
+module.exports = {
+  normalizeSource,
+  TranslationMemory,
+};
@@ -0,0 +1,87 @@
+const { hashString } = require('./ai-providers');
+
+// =============================================================================
+// Translation packs: a title's AI translation as a shareable JSON file
+// =============================================================================
+//    {
+//      format: 'nflxmultisubs-translation-pack', version: 1,
+//      movieId, title, srcLang, targetLang, provider, model,
+//      lineCount, fingerprint,         // of the source track, see trackFingerprint()
+//      complete, exportedAt,           // ms since epoch
+//      lines: [{ id, begin, end, text }],  // text: translation, or null if not translated yet
+//    }
+// A pack only fits the exact source track it was made from; importing checks
+// the line count and the timing fingerprint, recomputed from the pack's own
+// lines, before anything is cached.
+
+const kPackFormat = 'nflxmultisubs-translation-pack';
+const kPackVersion = 1;
+
+// hash of the cue timings (to the centisecond), which identifies a subtitle track
+// far better than its line count alone
+function trackFingerprint(lines) {
+  const timings = lines.map(l => `${Math.round(l.begin * 100)}-${Math.round(l.end * 100)}`);
+  return `${lines.length}:${hashString(timings.join(','))}`;
+}
+
+// @param lines: source track lines [{ id, begin, end }]
+// @param translations: translation per line (same order), null if missing
+function createPack({ movieId, title, srcLang, targetLang, provider, model }, lines, translations) {
+  return {
+    format: kPackFormat,
+    version: kPackVersion,
+    movieId: String(movieId),
+    title: title || '',
+    srcLang,
+    targetLang,
+    provider: provider || '',
+    model: model || '',
+    lineCount: lines.length,
+    fingerprint: trackFingerprint(lines),
+    complete: translations.every(t => typeof t === 'string'),
+    exportedAt: Date.now(),
+    lines: lines.map((line, index) => ({
+      id: line.id,
+      begin: line.begin,
+      end: line.end,
+      text: typeof translations[index] === 'string' ? translations[index] : null,
+    })),
+  };
+}
+
+function packFileName(pack) {
+  return `nflxmultisubs-${pack.movieId}-${pack.srcLang}-${pack.targetLang}.json`;
+}
+
+// @returns {string|null} why the pack does not fit the given source track, or null if it does
+function validatePack(pack, { movieId, srcLang, targetLang }, lines) {
+  if (!pack || pack.format !== kPackFormat) return 'Not a translation pack';
+  if (pack.version > kPackVersion) return `Unsupported pack version ${pack.version}`;
+  if (String(pack.movieId) !== String(movieId)) return `Pack is for another title (${pack.movieId})`;
+  if (pack.srcLang !== srcLang || pack.targetLang !== targetLang) {
+    return `Pack is ${pack.srcLang} → ${pack.targetLang}, the track is ${srcLang} → ${targetLang}`;
+  }
+  if (!Array.isArray(pack.lines) || pack.lines.length !== pack.lineCount) return 'Pack is damaged (line count)';
+  if (!pack.lines.every(l => l && Number.isFinite(l.begin) && Number.isFinite(l.end))) return 'Pack is damaged (timings)';
+  if (pack.lineCount !== lines.length) {
+    return `Line count differs (pack ${pack.lineCount}, track ${lines.length})`;
+  }
+  // the lines are shown at the pack's own timings: they must be the ones the fingerprint claims
+  const packFingerprint = trackFingerprint(pack.lines);
+  if (packFingerprint !== pack.fingerprint) return 'Pack is damaged (timings do not match its fingerprint)';
+  if (packFingerprint !== trackFingerprint(lines)) return 'Subtitle timings differ from the pack';
+  return null;
+}
+
+// translations of a validated pack, in track order
+function packTranslations(pack) {
+  return pack.lines.map(line => (typeof line.text === 'string' ? line.text : null));
+}
+
+module.exports = {
+  trackFingerprint,
+  createPack,
+  packFileName,
+  validatePack,
+  packTranslations,
+};
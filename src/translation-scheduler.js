@@ -0,0 +1,92 @@
+// Decides which chunk of a subtitle track is translated next.
+// The chunk under the playback position goes first, then the ones after it;
+// chunks before the position (already watched) are filled in last. The
+// position is re-read on every pick, so a seek re-prioritizes the queue.
+class TranslationScheduler {
+  constructor(lines, chunkSize) {
+    this.lines = lines; // [{ begin, end, ... }], sorted by time
+    this.chunks = [];
+    for (let start = 0; start < lines.length; start += chunkSize) {
+      this.chunks.push({
+        start,
+        end: Math.min(start + chunkSize, lines.length),
+        state: 'pending', // 'pending' | 'running' | 'done' | 'failed'
+      });
+    }
+  }
+
+
+  // index of the first line that has not ended yet at `seconds`
+  lineIndexAt(seconds) {
+    if (!(seconds > 0)) return 0;
+    const index = this.lines.findIndex(line => line.end >= seconds);
+    return index === -1 ? this.lines.length - 1 : index;
+  }
+
+
+  // @returns {object|undefined} next pending chunk for the given playback time (seconds)
+  next(seconds) {
+    const pending = this.chunks.filter(c => c.state === 'pending');
+    if (pending.length === 0) return undefined;
+
+    const position = this.lineIndexAt(seconds);
+    const chunk = pending.find(c => c.end > position) || pending[0];
+    chunk.state = 'running';
+    return chunk;
+  }
+
+
+  markDone(chunk) {
+    chunk.state = 'done';
+  }
+
+
+  markFailed(chunk) {
+    chunk.state = 'failed';
+  }
+
+
+  // give a running chunk back to the queue (its translation was cancelled)
+  release(chunk) {
+    chunk.state = 'pending';
+  }
+
+
+  // mark pending chunks whose lines are all translated already (e.g. restored
+  // from a cache checkpoint) as done
+  // @returns {number} number of chunks marked
+  markTranslated(isLineTranslated) {
+    const translated = this.chunks.filter(c => {
+      if (c.state !== 'pending') return false;
+      for (let index = c.start; index < c.end; index++) {
+        if (!isLineTranslated(index)) return false;
+      }
+      return true;
+    });
+    translated.forEach(c => { c.state = 'done'; });
+    return translated.length;
+  }
+
+
+  // put failed chunks back in the queue for another pass
+  // @returns {number} number of chunks re-queued
+  requeueFailed() {
+    const failed = this.chunks.filter(c => c.state === 'failed');
+    failed.forEach(c => { c.state = 'pending'; });
+    return failed.length;
+  }
+
+
+  get doneLineCount() {
+    return this.chunks
+      .filter(c => c.state === 'done')
+      .reduce((sum, c) => sum + (c.end - c.start), 0);
+  }
+
+
+  get failedChunkCount() {
+    return this.chunks.filter(c => c.state === 'failed').length;
+  }
+}
+
+module.exports = TranslationScheduler;
@@ -0,0 +1,305 @@
+const { toDeeplLanguage } = require('./ai-languages');
+const { getProvider, responseExcerpt } = require('./ai-providers');
+const { TranslationError, parseRetryAfter } = require('./retry-policy');
+const { readChatCompletionStream } = require('./sse');
+
+// =============================================================================
+// Translation service (service worker)
+// =============================================================================
+// The one place translation providers are called from: the page asks for lines
+// to be translated ('ai_translate' over the 'translate_stream' port, see
+// service_worker.js) and the provider selected in settings does the rest, with
+// the background helpers below as its `relay` (see ai-providers.js).
+// A MV3 worker is stopped when idle and woken up by the next request, so
+// nothing here relies on memory alone: the Copilot token is stored with the
+// settings, and what is kept in memory is only a shortcut.
+
+const COPILOT_TOKEN_URL = 'https://api.github.com/copilot_internal/v2/token';
+const COPILOT_CHAT_URL = 'https://api.githubcopilot.com/chat/completions';
+const kCopilotHeaders = {
+  'Editor-Version': 'vscode/1.85.0',
+  'Editor-Plugin-Version': 'copilot-chat/0.12.0',
+  'User-Agent': 'GithubCopilot/1.155.0',
+};
+const kTokenMarginSeconds = 60; // refresh tokens that expire sooner than this
+const kKeepAliveMs = 20000;
+
+// error of a failed translation request, with what the page needs to decide on a retry
+function httpError(message, resp) {
+  return new TranslationError(message, {
+    status: resp.status,
+    retryAfter: parseRetryAfter(resp.headers.get('retry-after')),
+  });
+}
+
+
+// Short-lived Copilot API tokens, exchanged for the GitHub OAuth token.
+// Requests running side by side share a single refresh (the refresh lock), and
+// a token the API rejects is not handed out again. Refreshed tokens are passed
+// to `onRefresh(token, expiresAt)` to be stored with the settings.
+class CopilotTokenManager {
+  constructor(onRefresh) {
+    this.onRefresh = onRefresh;
+    this.current = null; // { oauthToken, token, expiresAt }
+    this.refreshing = null; // { oauthToken, promise }
+    this.rejected = null; // token refused by the API
+  }
+
+
+  isUsable(entry, oauthToken) {
+    const now = Math.floor(Date.now() / 1000);
+    return !!entry && entry.oauthToken === oauthToken && !!entry.token &&
+      entry.token !== this.rejected && entry.expiresAt > now + kTokenMarginSeconds;
+  }
+
+
+  // @returns {Promise<string>} a valid Copilot token for the account in `settings`
+  async getToken(settings) {
+    const oauthToken = settings.githubOAuthToken;
+    if (!oauthToken) throw new TranslationError('GitHub 로그인이 필요합니다 (플러그인 설정 확인)', { permanent: true });
+    if (this.isUsable(this.current, oauthToken)) return this.current.token;
+
+    // stored by an earlier run of the worker
+    const stored = { oauthToken, token: settings.githubCopilotToken, expiresAt: settings.githubCopilotTokenExpiry };
+    if (this.isUsable(stored, oauthToken)) {
+      this.current = stored;
+      return stored.token;
+    }
+    return this.refresh(oauthToken);
+  }
+
+
+  refresh(oauthToken) {
+    if (this.refreshing && this.refreshing.oauthToken === oauthToken) return this.refreshing.promise;
+
+    const promise = this.fetchToken(oauthToken)
+      .then(entry => {
+        this.current = entry;
+        this.onRefresh(entry.token, entry.expiresAt);
+        return entry.token;
+      })
+      .finally(() => {
+        if (this.refreshing && this.refreshing.promise === promise) this.refreshing = null;
+      });
+    this.refreshing = { oauthToken, promise };
+    return promise;
+  }
+
+
+  // Exchange the GitHub OAuth token for a Copilot API token
+  async fetchToken(oauthToken) {
+    const resp = await fetch(COPILOT_TOKEN_URL, {
+      headers: Object.assign({ 'Authorization': `token ${oauthToken}` }, kCopilotHeaders),
+    });
+    const body = await resp.text();
+    if (!resp.ok) throw httpError(`Copilot 토큰 발급 실패 (${resp.status}): ${body}`, resp);
+    const data = JSON.parse(body);
+    if (!data.token) throw new Error(`Copilot 토큰 없음. 응답: ${body}`);
+    return { oauthToken, token: data.token, expiresAt: data.expires_at };
+  }
+
+
+  // the API refused `token` (expired early, revoked): the next request refreshes
+  invalidate(token) {
+    this.rejected = token;
+    if (this.current && this.current.token === token) this.current = null;
+  }
+
+
+  // logged in or out
+  reset() {
+    this.current = null;
+    this.refreshing = null;
+    this.rejected = null;
+  }
+}
+
+
+class TranslationService {
+  // onCopilotToken(token, expiresAt): store a refreshed Copilot token
+  constructor({ onCopilotToken }) {
+    this.copilotTokens = new CopilotTokenManager(onCopilotToken);
+    this.running = 0;
+    this.keepAliveTimer = null;
+  }
+
+
+  // Translate lines with the provider selected in settings.
+  //    request: { texts, srcLang, targetLang, chunkIndex, reference }
+  // With `onDelta`, every line is passed on as { id, text } as soon as it arrives
+  translate(settings, request, onDelta, signal) {
+    return this.keepAlive(async () => {
+      const provider = getProvider(settings.aiProvider);
+      const invalid = provider.validate(settings);
+      if (invalid) throw new TranslationError(invalid, { permanent: true });
+      const { texts, srcLang, targetLang, chunkIndex = 0, reference = {} } = request;
+      if (!Array.isArray(texts) || !texts.every(text => typeof text === 'string')) {
+        throw new TranslationError('Invalid translation request', { permanent: true });
+      }
+      return provider.translate(texts, {
+        srcLang,
+        targetLang,
+        chunkIndex,
+        settings,
+        reference,
+        onLine: onDelta && ((id, text) => onDelta({ id, text })),
+        signal,
+        relay: (action, payload, timeoutMs, onRelayDelta) =>
+          this.relay(settings, provider.label, action, payload, timeoutMs, onRelayDelta, signal),
+      });
+    });
+  }
+
+
+  // `relay` of the provider context (see ai-providers.js).
+  // Like the page's relay, the timeout counts from the last streamed piece
+  relay(settings, label, action, payload, timeoutMs, onDelta, signal) {
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer;
+    const armTimeout = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs);
+    };
+    const onAbort = () => controller.abort(signal.reason);
+    signal && signal.addEventListener('abort', onAbort, { once: true });
+    const onPiece = payload.stream && onDelta && (delta => {
+      armTimeout();
+      onDelta(delta);
+    });
+
+    armTimeout();
+    let request;
+    if (action === 'copilot_translate') {
+      request = this.copilotChat(settings, payload.messages, onPiece, controller.signal);
+    }
+    else if (action === 'custom_translate') {
+      request = this.customChat(settings, payload.messages, onPiece, controller.signal);
+    }
+    else if (action === 'deepl_translate') {
+      request = this.deeplTranslate(settings, payload.texts, payload.srcLang, payload.targetLang, controller.signal);
+    }
+    else {
+      request = Promise.reject(new TranslationError(`Unknown relay action ${action}`, { permanent: true }));
+    }
+    return request
+      .catch(err => {
+        if (timedOut) throw new TranslationError(`${label} 응답 타임아웃 (${timeoutMs / 1000}초)`, { timeout: true });
+        throw err;
+      })
+      .finally(() => {
+        clearTimeout(timer);
+        signal && signal.removeEventListener('abort', onAbort);
+      });
+  }
+
+
+  // Copilot Chat Completions request; with `onDelta` the reply is streamed, and
+  // resolves with the whole text as a regular completion.
+  // A 401 gets one more try with a fresh token
+  async copilotChat(settings, messages, onDelta, signal) {
+    const model = settings.aiModel || 'gpt-4o-mini';
+    for (let attempt = 1; ; attempt++) {
+      const copilotToken = await this.copilotTokens.getToken(settings);
+      const resp = await fetch(COPILOT_CHAT_URL, {
+        method: 'POST',
+        headers: Object.assign({
+          'Authorization': `Bearer ${copilotToken}`,
+          'Content-Type': 'application/json',
+          'Copilot-Integration-Id': 'vscode-chat',
+        }, kCopilotHeaders),
+        body: JSON.stringify({ model, messages, temperature: 0.2, stream: !!onDelta }),
+        signal,
+      });
+      if (resp.status === 401 && attempt === 1) {
+        this.copilotTokens.invalidate(copilotToken);
+        continue;
+      }
+      if (!resp.ok) {
+        const body = await resp.text();
+        throw httpError(`Copilot API 오류 (${resp.status}) model=${model}: ${body}`, resp);
+      }
+      if (onDelta) {
+        const text = await readChatCompletionStream(resp, onDelta);
+        return { choices: [{ message: { content: text } }] };
+      }
+      return JSON.parse(await resp.text());
+    }
+  }
+
+
+  // OpenAI-compatible Chat Completions request to the user-supplied endpoint.
+  // The granted host permission lifts CORS and mixed-content restrictions
+  // (e.g. http://localhost while watching on https://www.netflix.com).
+  // With `onDelta` the reply is streamed, and resolves with the whole text as a regular completion
+  async customChat(settings, messages, onDelta, signal) {
+    const baseUrl = (settings.aiCustomBaseUrl || '').trim().replace(/\/+$/, '');
+    if (!baseUrl) throw new TranslationError('Custom endpoint URL이 설정되지 않았습니다.', { permanent: true });
+    const model = settings.aiModel;
+    if (!model) throw new TranslationError('Custom endpoint 모델이 설정되지 않았습니다.', { permanent: true });
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.aiCustomApiKey) headers['Authorization'] = `Bearer ${settings.aiCustomApiKey}`;
+    const resp = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model, messages, temperature: 0.2, stream: !!onDelta }),
+      signal,
+    });
+    if (!resp.ok) {
+      const body = await resp.text();
+      throw httpError(`Custom endpoint 오류 (${resp.status}) model=${model}: ${responseExcerpt(body)}`, resp);
+    }
+    if (onDelta) {
+      const text = await readChatCompletionStream(resp, onDelta);
+      return { choices: [{ message: { content: text } }] };
+    }
+    return JSON.parse(await resp.text());
+  }
+
+
+  // DeepL batch translation; DeepL rejects CORS requests from web pages.
+  // Free-plan keys end with ':fx' and are served by a separate host
+  async deeplTranslate(settings, texts, srcLang, targetLang, signal) {
+    const apiKey = settings.aiApiKey;
+    if (!apiKey) throw new TranslationError('DeepL API 키가 설정되지 않았습니다.', { permanent: true });
+    const host = apiKey.endsWith(':fx') ? 'https://api-free.deepl.com' : 'https://api.deepl.com';
+    const request = { text: texts, target_lang: toDeeplLanguage(targetLang) };
+    const sourceLang = toDeeplLanguage(srcLang, true);
+    if (sourceLang) request.source_lang = sourceLang;
+    const resp = await fetch(`${host}/v2/translate`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `DeepL-Auth-Key ${apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(request),
+      signal,
+    });
+    const body = await resp.text();
+    if (!resp.ok) throw httpError(`DeepL API 오류 (${resp.status}): ${responseExcerpt(body)}`, resp);
+    const data = JSON.parse(body);
+    return (data.translations || []).map(t => t.text);
+  }
+
+
+  // MV3 stops a worker that has been idle for 30 seconds even while a fetch is
+  // pending; calling an extension API now and then keeps it up until `run` is done
+  async keepAlive(run) {
+    if (this.running++ === 0) {
+      this.keepAliveTimer = setInterval(() => chrome.runtime.getPlatformInfo(() => {}), kKeepAliveMs);
+    }
+    try {
+      return await run();
+    } finally {
+      if (--this.running === 0) clearInterval(this.keepAliveTimer);
+    }
+  }
+}
+
+module.exports = {
+  CopilotTokenManager,
+  TranslationService,
+};
@@ -38,6 +38,7 @@ const configs = browsers.map(browser => {
       service_worker: path.join(kSourceDir, 'service_worker.js'),
       content: path.join(kSourceDir, 'content.js'),
       settings: path.join(kSourceDir, 'settings.js'),
+      options: path.join(kSourceDir, 'options.js'),
       nflxmultisubs: path.join(kSourceDir, 'nflxmultisubs.js'),
     },
     output: {